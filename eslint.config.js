@@ -26,4 +26,13 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['src/service-worker.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __PRECACHE_MANIFEST__: 'readonly',
+      },
+    },
+  },
 ])
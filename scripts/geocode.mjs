@@ -0,0 +1,76 @@
+import { writeFileSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createNominatimGeocoder, planGeocoding, geocodeLibraries, NOMINATIM_URL, DEFAULT_DELAY_MS } from './lib/geocode.mjs';
+import { failOnErrors, ValidationError } from './lib/pipeline.mjs';
+import { parseGeocodeArgs, checkGeocodeTargets, UsageError, GEOCODE_USAGE, EXIT_CODES } from './lib/cli.mjs';
+import { parseCSV } from '../src/components/csv.js';
+import { validateRegistry } from '../src/components/registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, '..', 'public');
+
+async function main(argv) {
+  const options = parseGeocodeArgs(argv, {
+    endpoint: process.env.GEOCODER_URL || NOMINATIM_URL,
+    delay: DEFAULT_DELAY_MS,
+    registry: join(PUBLIC_DIR, 'library-registry.json'),
+    libraries: join(PUBLIC_DIR, 'libraries.csv'),
+  });
+  if (options.help) {
+    console.log(GEOCODE_USAGE);
+    return false;
+  }
+
+  // Missing coordinates are what this script fixes, so only the rest of the registry must be valid
+  const registry = JSON.parse(readFileSync(options.registry, 'utf-8'));
+  failOnErrors('library-registry.json failed validation', validateRegistry(registry, { requireCoords: false }));
+  checkGeocodeTargets(registry, options.only);
+
+  const rows = parseCSV(readFileSync(options.libraries, 'utf-8'));
+  const plan = planGeocoding(registry, rows, { refresh: options.refresh, only: options.only });
+  if (plan.length === 0) {
+    console.log('Every enabled library has coordinates; nothing to geocode');
+    return false;
+  }
+
+  console.log(`Geocoding ${plan.length} ${plan.length === 1 ? 'library' : 'libraries'} via ${options.endpoint}...`);
+  const result = await geocodeLibraries({
+    registry,
+    plan,
+    geocoder: createNominatimGeocoder({ endpoint: options.endpoint }),
+    delayMs: options.delay,
+    log: console.log,
+  });
+
+  const geocoded = result.results.filter(r => r.status === 'geocoded');
+  const missed = result.results.filter(r => r.status !== 'geocoded');
+  failOnErrors('Geocoded registry failed validation', validateRegistry(result.registry, { requireCoords: false }));
+
+  if (options.dryRun) {
+    console.log(`Dry run: ${geocoded.length} geocoded, nothing written`);
+  } else if (geocoded.length > 0) {
+    writeFileSync(options.registry, JSON.stringify(result.registry, null, 2) + '\n');
+    console.log(`Wrote ${geocoded.length} coordinates to ${options.registry}`);
+  }
+
+  if (missed.length > 0) {
+    console.warn(`Could not geocode: ${missed.map(r => r.alias).join(', ')}`);
+  }
+  return missed.length > 0;
+}
+
+main(process.argv.slice(2)).then(incomplete => {
+  if (incomplete) process.exit(EXIT_CODES.failure);
+}).catch(err => {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${GEOCODE_USAGE}`);
+    process.exit(EXIT_CODES.usage);
+  }
+  if (err instanceof ValidationError) {
+    console.error(`Failed to geocode: ${err.message}`);
+    process.exit(EXIT_CODES.invalid);
+  }
+  console.error('Failed to geocode:', err);
+  process.exit(EXIT_CODES.failure);
+});
@@ -0,0 +1,204 @@
+/**
+ * Command-line options and exit codes for update-hours.mjs and geocode.mjs
+ */
+
+import { parseArgs } from 'util';
+
+export const EXIT_CODES = {
+  ok: 0,
+  // Network errors, unreadable files and other unexpected failures
+  failure: 1,
+  // Bad flags; nothing was fetched or written
+  usage: 2,
+  // A payload or the generated data failed validation; nothing was written
+  invalid: 3,
+};
+
+export const FORMATS = ['csv', 'json'];
+
+// LibCal's hours grid returns at most a year
+export const MAX_WEEKS = 52;
+
+/**
+ * Invalid command-line input; the scripts print their usage for these
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export const USAGE = `Usage: node scripts/update-hours.mjs [options]
+
+Fetches library metadata from Drupal and hours from LibCal, validates them
+and writes libraries.csv, hours.json and hours-meta.json.
+
+Options:
+  --dry-run          Fetch, validate and print the changes without writing anything
+  --out <dir>        Directory to write to (default public/)
+  --format <format>  Library list format: csv (libraries.csv) or json (libraries.json); default csv
+  --weeks <n>        Weeks of hours to fetch, 1-${MAX_WEEKS} (default 4)
+  --only <alias>     Only update this library, keeping the others from the previous run; repeatable
+  --verbose          Log per-library details
+  --fixtures <dir>   Read recorded Drupal pages and LibCal hours from <dir> instead of the network
+  --record <dir>     Fetch as usual and save every payload to <dir> for later --fixtures runs
+  --registry <file>  Library registry to use (default public/library-registry.json)
+  -h, --help         Show this message
+
+Set DRUPAL_LIBRARIES_URL / LIBCAL_HOURS_URL to fetch from a stand-in server.
+
+Exit codes:
+  ${EXIT_CODES.ok}  Success (or dry run finished)
+  ${EXIT_CODES.failure}  Unexpected failure, e.g. an API was unreachable
+  ${EXIT_CODES.usage}  Invalid options
+  ${EXIT_CODES.invalid}  Validation failed; existing files were left untouched`;
+
+/**
+ * Parse update-hours.mjs arguments into options
+ * Throws UsageError for unknown flags or invalid values
+ */
+export function parseCliArgs(argv, defaults) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'dry-run': { type: 'boolean', default: false },
+        out: { type: 'string', default: defaults.out },
+        format: { type: 'string', default: 'csv' },
+        weeks: { type: 'string', default: String(defaults.weeks) },
+        only: { type: 'string', multiple: true, default: [] },
+        verbose: { type: 'boolean', default: false },
+        fixtures: { type: 'string' },
+        record: { type: 'string' },
+        registry: { type: 'string', default: defaults.registry },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}, got "${values.format}"`);
+  }
+
+  const weeks = Number(values.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+    throw new UsageError(`--weeks must be a whole number from 1 to ${MAX_WEEKS}, got "${values.weeks}"`);
+  }
+
+  if (values.fixtures && values.record) {
+    throw new UsageError('--fixtures and --record cannot be combined');
+  }
+
+  return {
+    dryRun: values['dry-run'],
+    out: values.out,
+    format: values.format,
+    weeks,
+    only: [...new Set(values.only)],
+    verbose: values.verbose,
+    fixtures: values.fixtures,
+    record: values.record,
+    registry: values.registry,
+    help: values.help,
+  };
+}
+
+/**
+ * Narrow the registry to the --only aliases
+ * Throws UsageError for aliases that aren't enabled in the registry
+ */
+export function selectRegistryEntries(registry, only) {
+  if (only.length === 0) return registry;
+
+  const selected = {};
+  for (const alias of only) {
+    if (!registry[alias]) throw new UsageError(`--only: "${alias}" is not in the registry`);
+    if (!registry[alias].enabled) throw new UsageError(`--only: "${alias}" is disabled in the registry`);
+    selected[alias] = registry[alias];
+  }
+  return selected;
+}
+
+export const GEOCODE_USAGE = `Usage: node scripts/geocode.mjs [options]
+
+Geocodes the addresses of registry libraries that have no coordinates and
+saves the results to the registry as "geocoded". Coordinates placed in the
+coords editor ("manual") are never replaced.
+
+Options:
+  --dry-run          Geocode and print the results without writing the registry
+  --refresh          Also re-geocode libraries whose coordinates were geocoded before
+  --only <alias>     Geocode this library even if it already has geocoded coordinates; repeatable
+  --endpoint <url>   Nominatim-compatible search endpoint (default $GEOCODER_URL or Nominatim)
+  --delay <ms>       Pause between requests (default 1000, Nominatim's limit)
+  --registry <file>  Library registry to update (default public/library-registry.json)
+  --libraries <file> libraries.csv to read addresses from (default public/libraries.csv)
+  -h, --help         Show this message
+
+Exit codes:
+  ${EXIT_CODES.ok}  Every library that needed coordinates got them (or dry run finished)
+  ${EXIT_CODES.failure}  Some libraries could not be geocoded; the others were saved
+  ${EXIT_CODES.usage}  Invalid options
+  ${EXIT_CODES.invalid}  The registry failed validation; nothing was written`;
+
+/**
+ * Parse geocode.mjs arguments into options
+ * Throws UsageError for unknown flags, invalid values and --only aliases it may not touch
+ */
+export function parseGeocodeArgs(argv, defaults) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'dry-run': { type: 'boolean', default: false },
+        refresh: { type: 'boolean', default: false },
+        only: { type: 'string', multiple: true, default: [] },
+        endpoint: { type: 'string', default: defaults.endpoint },
+        delay: { type: 'string', default: String(defaults.delay) },
+        registry: { type: 'string', default: defaults.registry },
+        libraries: { type: 'string', default: defaults.libraries },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const delay = Number(values.delay);
+  if (!Number.isInteger(delay) || delay < 0) {
+    throw new UsageError(`--delay must be a whole number of milliseconds, got "${values.delay}"`);
+  }
+
+  if (!URL.canParse(values.endpoint)) {
+    throw new UsageError(`--endpoint must be a URL, got "${values.endpoint}"`);
+  }
+
+  return {
+    dryRun: values['dry-run'],
+    refresh: values.refresh,
+    only: [...new Set(values.only)],
+    endpoint: values.endpoint,
+    delay,
+    registry: values.registry,
+    libraries: values.libraries,
+    help: values.help,
+  };
+}
+
+/**
+ * Check the geocode.mjs --only aliases against the registry
+ * Throws UsageError for unknown aliases and hand-placed coordinates
+ */
+export function checkGeocodeTargets(registry, only) {
+  for (const alias of only) {
+    if (!registry[alias]) throw new UsageError(`--only: "${alias}" is not in the registry`);
+    if (registry[alias].coords?.source === 'manual') {
+      throw new UsageError(`--only: "${alias}" has coordinates placed by hand; move it in the coords editor instead`);
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { parseCliArgs, selectRegistryEntries, parseGeocodeArgs, checkGeocodeTargets, UsageError } from './cli.mjs';
+
+const DEFAULTS = { out: 'public', weeks: 4, registry: 'public/library-registry.json' };
+
+describe('parseCliArgs', () => {
+  it('uses the defaults without flags', () => {
+    expect(parseCliArgs([], DEFAULTS)).toEqual({
+      dryRun: false,
+      out: 'public',
+      format: 'csv',
+      weeks: 4,
+      only: [],
+      verbose: false,
+      fixtures: undefined,
+      record: undefined,
+      registry: 'public/library-registry.json',
+      help: false,
+    });
+  });
+
+  it('reads every flag', () => {
+    const options = parseCliArgs([
+      '--dry-run', '--out', 'tmp', '--format', 'json', '--weeks', '2',
+      '--only', 'lamont', '--only', 'widener', '--only', 'lamont', '--verbose', '--fixtures', 'scripts/fixtures',
+    ], DEFAULTS);
+    expect(options).toMatchObject({
+      dryRun: true,
+      out: 'tmp',
+      format: 'json',
+      weeks: 2,
+      only: ['lamont', 'widener'],
+      verbose: true,
+      fixtures: 'scripts/fixtures',
+    });
+  });
+
+  it.each([
+    [['--format', 'xml'], '--format must be one of csv, json, got "xml"'],
+    [['--weeks', '0'], '--weeks must be a whole number from 1 to 52, got "0"'],
+    [['--weeks', '2.5'], '--weeks must be a whole number from 1 to 52, got "2.5"'],
+    [['--weeks', 'many'], '--weeks must be a whole number from 1 to 52, got "many"'],
+    [['--weeks', '53'], '--weeks must be a whole number from 1 to 52, got "53"'],
+    [['--fixtures', 'a', '--record', 'b'], '--fixtures and --record cannot be combined'],
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseCliArgs(argv, DEFAULTS)).toThrow(new UsageError(message));
+  });
+
+  it('turns unknown flags into usage errors', () => {
+    expect(() => parseCliArgs(['--dryrun'], DEFAULTS)).toThrow(UsageError);
+    expect(() => parseCliArgs(['--out'], DEFAULTS)).toThrow(UsageError);
+  });
+});
+
+describe('selectRegistryEntries', () => {
+  const registry = {
+    lamont: { enabled: true },
+    widener: { enabled: true },
+    'map-collection': { enabled: false },
+  };
+
+  it('keeps everything without --only', () => {
+    expect(selectRegistryEntries(registry, [])).toBe(registry);
+  });
+
+  it('narrows to the selected libraries', () => {
+    expect(selectRegistryEntries(registry, ['widener'])).toEqual({ widener: { enabled: true } });
+  });
+
+  it.each([
+    ['houghton', '--only: "houghton" is not in the registry'],
+    ['map-collection', '--only: "map-collection" is disabled in the registry'],
+  ])('rejects %s', (alias, message) => {
+    expect(() => selectRegistryEntries(registry, [alias])).toThrow(new UsageError(message));
+  });
+});
+
+describe('parseGeocodeArgs', () => {
+  const defaults = {
+    endpoint: 'https://nominatim.openstreetmap.org/search',
+    delay: 1000,
+    registry: 'public/library-registry.json',
+    libraries: 'public/libraries.csv',
+  };
+
+  it('uses the defaults without flags', () => {
+    expect(parseGeocodeArgs([], defaults)).toEqual({
+      dryRun: false,
+      refresh: false,
+      only: [],
+      endpoint: 'https://nominatim.openstreetmap.org/search',
+      delay: 1000,
+      registry: 'public/library-registry.json',
+      libraries: 'public/libraries.csv',
+      help: false,
+    });
+  });
+
+  it('reads every flag', () => {
+    const options = parseGeocodeArgs([
+      '--dry-run', '--refresh', '--only', 'botany', '--endpoint', 'http://127.0.0.1:8080/search', '--delay', '0',
+    ], defaults);
+    expect(options).toMatchObject({
+      dryRun: true,
+      refresh: true,
+      only: ['botany'],
+      endpoint: 'http://127.0.0.1:8080/search',
+      delay: 0,
+    });
+  });
+
+  it.each([
+    [['--delay=-1'], '--delay must be a whole number of milliseconds, got "-1"'],
+    [['--delay', 'soon'], '--delay must be a whole number of milliseconds, got "soon"'],
+    [['--endpoint', 'localhost'], '--endpoint must be a URL, got "localhost"'],
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseGeocodeArgs(argv, defaults)).toThrow(new UsageError(message));
+  });
+});
+
+describe('checkGeocodeTargets', () => {
+  const registry = {
+    lamont: { coords: { lat: 42.3728, lng: -71.1151, source: 'manual' } },
+    widener: { coords: { lat: 42.3734, lng: -71.1165, source: 'geocoded' } },
+  };
+
+  it('accepts geocoded libraries', () => {
+    expect(() => checkGeocodeTargets(registry, ['widener'])).not.toThrow();
+  });
+
+  it.each([
+    ['houghton', '--only: "houghton" is not in the registry'],
+    ['lamont', '--only: "lamont" has coordinates placed by hand; move it in the coords editor instead'],
+  ])('rejects %s', (alias, message) => {
+    expect(() => checkGeocodeTargets(registry, [alias])).toThrow(new UsageError(message));
+  });
+});
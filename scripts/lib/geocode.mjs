@@ -0,0 +1,121 @@
+/**
+ * Fills in missing registry coordinates by geocoding library addresses.
+ * A geocoder is an object with one async method:
+ *
+ *   geocode(address) → { lat, lng }, or null when nothing matched
+ *
+ * createNominatimGeocoder talks to Nominatim (or a stand-in server at
+ * another endpoint). Only libraries without coordinates are geocoded, plus
+ * previously geocoded ones when asked to refresh; coordinates placed by hand
+ * in the coords editor are never replaced. Matches outside HARVARD_BOUNDS
+ * are treated as no match, since they're a different street of the same name.
+ */
+
+import { isValidCoords, isWithinBounds, setRegistryCoords, HARVARD_BOUNDS } from '../../src/components/registry.js';
+
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+// Nominatim's usage policy requires an identifying User-Agent
+export const USER_AGENT = 'HarvardLibrariesMap/1.0';
+
+// Nominatim's usage policy allows at most one request per second
+export const DEFAULT_DELAY_MS = 1000;
+
+/**
+ * Geocoder backed by a Nominatim search endpoint
+ */
+export function createNominatimGeocoder({
+  fetch: fetchImpl = globalThis.fetch,
+  endpoint = NOMINATIM_URL,
+  userAgent = USER_AGENT,
+} = {}) {
+  return {
+    async geocode(address) {
+      const url = new URL(endpoint);
+      url.searchParams.set('q', address);
+      url.searchParams.set('format', 'json');
+      url.searchParams.set('limit', '1');
+
+      const res = await fetchImpl(url.toString(), { headers: { 'User-Agent': userAgent } });
+      if (!res.ok) throw new Error(`Geocoder error: ${res.status}`);
+
+      const [match] = await res.json();
+      if (!match) return null;
+      const coords = { lat: Number(match.lat), lng: Number(match.lon) };
+      return isValidCoords(coords) ? coords : null;
+    },
+  };
+}
+
+/**
+ * List the registry entries to geocode, with the address to look up for each
+ * Addresses come from the registry's Address override, then libraries.csv;
+ * entries with neither are returned with a null address
+ */
+export function planGeocoding(registry, rows, { refresh = false, only = [] } = {}) {
+  const addresses = new Map(rows.map(row => [row.Id, row.Address]));
+
+  return Object.entries(registry)
+    .filter(([alias, entry]) => {
+      if (only.length > 0) return only.includes(alias);
+      if (!entry.enabled) return false;
+      return entry.coords == null || (refresh && entry.coords.source === 'geocoded');
+    })
+    .filter(([, entry]) => entry.coords?.source !== 'manual')
+    .map(([alias, entry]) => ({
+      alias,
+      address: entry.overrides?.Address || addresses.get(alias) || null,
+    }));
+}
+
+/**
+ * Geocode each planned library in turn, pausing between requests
+ * Returns the updated registry and one result per library:
+ * status is 'geocoded', 'not-found', 'no-address' or 'failed';
+ * a match outside bounds counts as 'not-found'
+ */
+export async function geocodeLibraries({
+  registry,
+  plan,
+  geocoder,
+  bounds = HARVARD_BOUNDS,
+  delayMs = DEFAULT_DELAY_MS,
+  sleep = ms => new Promise(done => setTimeout(done, ms)),
+  log = () => {},
+}) {
+  const found = {};
+  const results = [];
+  let requests = 0;
+
+  for (const [i, { alias, address }] of plan.entries()) {
+    const prefix = `  [${i + 1}/${plan.length}] ${alias}:`;
+    if (!address) {
+      log(`${prefix} no address; add an Address override to the registry`);
+      results.push({ alias, status: 'no-address' });
+      continue;
+    }
+
+    if (requests > 0) await sleep(delayMs);
+    requests++;
+
+    try {
+      const coords = await geocoder.geocode(address);
+      if (coords && !isWithinBounds(coords, bounds)) {
+        log(`${prefix} match for "${address}" at ${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)} is outside the Harvard area`);
+        results.push({ alias, status: 'not-found' });
+      } else if (coords) {
+        found[alias] = coords;
+        log(`${prefix} ${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}`);
+        results.push({ alias, status: 'geocoded', coords });
+      } else {
+        log(`${prefix} no match for "${address}"`);
+        results.push({ alias, status: 'not-found' });
+      }
+    } catch (err) {
+      log(`${prefix} ${err.message}`);
+      results.push({ alias, status: 'failed', error: err.message });
+    }
+  }
+
+  return { registry: setRegistryCoords(registry, found, 'geocoded'), results };
+}
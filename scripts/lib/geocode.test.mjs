@@ -0,0 +1,138 @@
+import { createServer } from 'http';
+import { describe, it, expect } from 'vitest';
+import { createNominatimGeocoder, planGeocoding, geocodeLibraries } from './geocode.mjs';
+import { registryEntry, manualCoords, fakeFetch, jsonResponse } from '../../test/helpers.js';
+
+/**
+ * Stand-in for fetch that answers Nominatim searches from canned matches by address
+ */
+function nominatimFetch(matches) {
+  return fakeFetch(url => {
+    const q = new URL(url).searchParams.get('q');
+    if (q === 'Error Street') return jsonResponse(null, 503);
+    return jsonResponse(matches[q] ? [matches[q]] : []);
+  });
+}
+
+const registry = {
+  lamont: registryEntry(manualCoords(42.3728, -71.1151)),
+  widener: registryEntry({ lat: 42.3734, lng: -71.1165, source: 'geocoded' }),
+  botany: registryEntry(null),
+  houghton: registryEntry(null, { overrides: { Address: 'Harvard Yard' } }),
+  'map-collection': registryEntry(null, { enabled: false }),
+};
+
+const rows = [
+  { Id: 'lamont', Address: '11 Quincy Street' },
+  { Id: 'widener', Address: 'Harvard Yard' },
+  { Id: 'botany', Address: '22 Divinity Avenue' },
+];
+
+describe('createNominatimGeocoder', () => {
+  it('queries the endpoint with the address and a User-Agent', async () => {
+    const { fetch, requests } = nominatimFetch({ '22 Divinity Avenue': { lat: '42.3784', lon: '-71.1143' } });
+    const geocoder = createNominatimGeocoder({ fetch, endpoint: 'http://geocoder.test/search', userAgent: 'Test/1.0' });
+
+    expect(await geocoder.geocode('22 Divinity Avenue')).toEqual({ lat: 42.3784, lng: -71.1143 });
+    const url = new URL(requests[0].url);
+    expect(url.origin + url.pathname).toBe('http://geocoder.test/search');
+    expect(Object.fromEntries(url.searchParams)).toEqual({ q: '22 Divinity Avenue', format: 'json', limit: '1' });
+    expect(requests[0].init.headers['User-Agent']).toBe('Test/1.0');
+  });
+
+  it('returns null when nothing matched or the match is unusable', async () => {
+    const { fetch } = nominatimFetch({ Nowhere: { lat: 'abc', lon: '0' } });
+    const geocoder = createNominatimGeocoder({ fetch, endpoint: 'http://geocoder.test/search' });
+    expect(await geocoder.geocode('Unknown')).toBeNull();
+    expect(await geocoder.geocode('Nowhere')).toBeNull();
+  });
+
+  it('throws on HTTP errors', async () => {
+    const { fetch } = nominatimFetch({});
+    const geocoder = createNominatimGeocoder({ fetch, endpoint: 'http://geocoder.test/search' });
+    await expect(geocoder.geocode('Error Street')).rejects.toThrow('Geocoder error: 503');
+  });
+
+  it('works against a local stand-in server', async () => {
+    const server = createServer((req, res) => {
+      const q = new URL(req.url, 'http://localhost').searchParams.get('q');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(q === 'Harvard Yard' ? [{ lat: '42.3744', lon: '-71.1169' }] : []));
+    });
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    try {
+      const geocoder = createNominatimGeocoder({ endpoint: `http://127.0.0.1:${server.address().port}/search` });
+      expect(await geocoder.geocode('Harvard Yard')).toEqual({ lat: 42.3744, lng: -71.1169 });
+    } finally {
+      await new Promise(done => server.close(done));
+    }
+  });
+});
+
+describe('planGeocoding', () => {
+  it('picks enabled libraries without coordinates', () => {
+    expect(planGeocoding(registry, rows)).toEqual([
+      { alias: 'botany', address: '22 Divinity Avenue' },
+      { alias: 'houghton', address: 'Harvard Yard' },
+    ]);
+  });
+
+  it('adds previously geocoded libraries when refreshing, never manual ones', () => {
+    expect(planGeocoding(registry, rows, { refresh: true }).map(p => p.alias)).toEqual(['widener', 'botany', 'houghton']);
+  });
+
+  it('narrows to --only libraries, skipping manual coordinates', () => {
+    expect(planGeocoding(registry, rows, { only: ['widener', 'lamont', 'map-collection'] })).toEqual([
+      { alias: 'widener', address: 'Harvard Yard' },
+      { alias: 'map-collection', address: null },
+    ]);
+  });
+});
+
+describe('geocodeLibraries', () => {
+  const plan = [
+    { alias: 'botany', address: '22 Divinity Avenue' },
+    { alias: 'houghton', address: 'Error Street' },
+    { alias: 'widener', address: 'Unknown' },
+    { alias: 'map-collection', address: null },
+  ];
+
+  it('saves found coordinates as geocoded and reports the rest', async () => {
+    const { fetch, requests } = nominatimFetch({ '22 Divinity Avenue': { lat: '42.3784', lon: '-71.1143' } });
+    const sleeps = [];
+    const result = await geocodeLibraries({
+      registry,
+      plan,
+      geocoder: createNominatimGeocoder({ fetch, endpoint: 'http://geocoder.test/search' }),
+      delayMs: 1000,
+      sleep: async ms => sleeps.push(ms),
+    });
+
+    expect(result.registry.botany.coords).toEqual({ lat: 42.3784, lng: -71.1143, source: 'geocoded' });
+    expect(result.registry.lamont).toBe(registry.lamont);
+    expect(result.registry.widener).toBe(registry.widener);
+    expect(result.results).toEqual([
+      { alias: 'botany', status: 'geocoded', coords: { lat: 42.3784, lng: -71.1143 } },
+      { alias: 'houghton', status: 'failed', error: 'Geocoder error: 503' },
+      { alias: 'widener', status: 'not-found' },
+      { alias: 'map-collection', status: 'no-address' },
+    ]);
+    // Pauses between requests only, and not for libraries without an address
+    expect(requests).toHaveLength(3);
+    expect(sleeps).toEqual([1000, 1000]);
+  });
+
+  it('treats matches outside the Harvard area as not found', async () => {
+    // "22 Divinity Avenue" also exists in Brooklyn
+    const { fetch } = nominatimFetch({ '22 Divinity Avenue': { lat: '40.6608', lon: '-73.9204' } });
+    const result = await geocodeLibraries({
+      registry,
+      plan: [{ alias: 'botany', address: '22 Divinity Avenue' }],
+      geocoder: createNominatimGeocoder({ fetch, endpoint: 'http://geocoder.test/search' }),
+      sleep: async () => {},
+    });
+
+    expect(result.results).toEqual([{ alias: 'botany', status: 'not-found' }]);
+    expect(result.registry.botany.coords).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Pure helpers for turning Drupal and LibCal API payloads into the
+ * libraries.csv rows and hours.json schedules. Kept free of network and
+ * filesystem access so they can be tested against recorded payloads.
+ */
+
+import { parseTimeToMinutes, parseHoursText } from '../../src/components/libraryUtils.js';
+import { formatCSV } from '../../src/components/csv.js';
+
+export const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const CSV_HEADERS = ['Id', 'Name', 'Description', 'Address', ...DAYS];
+
+/**
+ * Format a single day's hours from LibCal structured data
+ */
+export function formatDayHours(dayData) {
+  if (!dayData || !dayData.times) return '';
+
+  const { status, hours } = dayData.times;
+
+  switch (status) {
+    case 'closed':
+      return 'Closed';
+    case '24hours':
+      return '24 Hours';
+    case 'open':
+      if (!hours || hours.length === 0) return '';
+      return hours.map(h => `${h.from} - ${h.to}`).join('. ');
+    case 'ByApp':
+    case 'text': {
+      // Use rendered text, clean up newlines and extra whitespace
+      const rendered = (dayData.rendered || '').replace(/\n/g, ' ').replace(/\s+/g, ' ').trim();
+      return rendered || '';
+    }
+    case 'not-set':
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build a structured day schedule { kind, sessions, note } from LibCal data
+ * Sessions are minutes since midnight; the note keeps the original text
+ */
+export function buildDaySchedule(dayData) {
+  const note = formatDayHours(dayData);
+  const { status, hours } = dayData?.times || {};
+
+  switch (status) {
+    case 'closed':
+      return { kind: 'closed', sessions: [], note };
+    case '24hours':
+      return { kind: '24h', sessions: [{ open: 0, close: 1440 }], note };
+    case 'open': {
+      const sessions = (hours || [])
+        .map(h => ({ open: parseTimeToMinutes(h.from), close: parseTimeToMinutes(h.to) }))
+        .filter(s => s.open !== null && s.close !== null)
+        // "8am - 12am" closes at midnight at the end of the day
+        .map(s => (s.close === 0 ? { ...s, close: 1440 } : s));
+      return { kind: sessions.length > 0 ? 'open' : 'closed', sessions, note };
+    }
+    case 'ByApp':
+      return { kind: 'by-appointment', sessions: [], note };
+    case 'text':
+      // Free text like "Open from 9:00am - 24 hours" only exists as text upstream
+      return parseHoursText(note);
+    case 'not-set':
+    default:
+      return { kind: 'closed', sessions: [], note: '' };
+  }
+}
+
+/**
+ * Flatten LibCal weeks into a map of ISO date → structured day schedule
+ */
+export function buildDatedHours(weeks) {
+  const byDate = {};
+  for (const week of weeks || []) {
+    for (const day of DAYS) {
+      const dayData = week[day];
+      if (dayData?.date) {
+        byDate[dayData.date] = buildDaySchedule(dayData);
+      }
+    }
+  }
+  return byDate;
+}
+
+/**
+ * Format address from Drupal field_address components
+ */
+export function formatAddress(fieldAddress) {
+  if (!fieldAddress) return '';
+  const parts = [
+    fieldAddress.address_line1,
+    fieldAddress.locality,
+    fieldAddress.administrative_area,
+    fieldAddress.postal_code,
+  ].filter(Boolean);
+
+  if (parts.length >= 3) {
+    // "125 Arborway, Jamaica Plain, MA 02130"
+    const street = parts[0];
+    const city = parts[1];
+    const state = parts[2];
+    const zip = parts[3] || '';
+    return `${street}, ${city}, ${state}${zip ? ' ' + zip : ''}`;
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Build CSV rows and date-keyed hours for the enabled registry libraries
+ * Rows hold the current week only; datedHours covers every fetched week
+ * A registry libcalId replaces Drupal's field_library_id, and registry
+ * overrides replace the fetched Name/Description/Address
+ */
+export function buildLibraryRows(drupalLibraries, libcalData, registry) {
+  // Build a map of LibCal lid → hours data
+  const hoursByLid = {};
+  for (const loc of libcalData.locations) {
+    hoursByLid[String(loc.lid)] = loc;
+  }
+
+  const rows = [];
+  const datedHours = {};
+
+  for (const node of drupalLibraries) {
+    const attrs = node.attributes;
+    const alias = attrs.path?.alias?.replace('/libraries/', '') || '';
+    const entry = registry[alias];
+
+    if (!entry?.enabled) continue;
+
+    const lid = String(entry.libcalId ?? attrs.field_library_id ?? '');
+    const hoursData = hoursByLid[lid];
+    const week = hoursData?.weeks?.[0];
+    datedHours[alias] = buildDatedHours(hoursData?.weeks);
+
+    const row = {
+      Id: alias,
+      Name: (attrs.title || '').trim(),
+      Description: (attrs.field_subtitle || '').trim(),
+      Address: formatAddress(attrs.field_address),
+      ...entry.overrides,
+    };
+
+    for (const day of DAYS) {
+      row[day] = week ? formatDayHours(week[day]) : '';
+    }
+
+    rows.push(row);
+  }
+
+  // Sort rows alphabetically by Name for consistent output
+  rows.sort((a, b) => a.Name.localeCompare(b.Name));
+
+  return { rows, datedHours };
+}
+
+/**
+ * Add days to an ISO date key, in UTC so DST never shifts the result
+ */
+function addDaysToDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build hours-meta.json: when the data was fetched, which dates it covers
+ * and how many records each source returned
+ * weekStart/weekEnd span the week flattened into libraries.csv;
+ * coverageEnd is the last date present in hours.json
+ */
+export function buildMetadata({ fetchedAt, drupalLibraries, libcalData, rows, datedHours }) {
+  const weekStart = libcalData.locations
+    .map(loc => loc.weeks?.[0]?.Sunday?.date)
+    .filter(Boolean)
+    .sort()[0] ?? null;
+  const coverageEnd = Object.values(datedHours)
+    .flatMap(hours => Object.keys(hours))
+    .sort()
+    .at(-1) ?? null;
+
+  return {
+    fetchedAt: fetchedAt.toISOString(),
+    weekStart,
+    weekEnd: weekStart ? addDaysToDateKey(weekStart, 6) : null,
+    coverageEnd,
+    sources: {
+      drupalLibraries: drupalLibraries.length,
+      libcalLocations: libcalData.locations.length,
+      libraries: rows.length,
+      librariesWithHours: Object.values(datedHours).filter(hours => Object.keys(hours).length > 0).length,
+    },
+  };
+}
+
+/**
+ * Serialize rows to libraries.csv content
+ */
+export function buildCsv(rows) {
+  return formatCSV(CSV_HEADERS, rows);
+}
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatDayHours,
+  buildDaySchedule,
+  buildDatedHours,
+  formatAddress,
+  buildLibraryRows,
+  buildCsv,
+  buildMetadata,
+} from './hours-data.mjs';
+import { parseCSV } from '../../src/components/csv.js';
+import { loadFixture } from '../../test/helpers.js';
+
+const drupalPage = loadFixture('drupal-libraries.json');
+const libcalData = loadFixture('libcal-hours.json');
+const registry = loadFixture('library-registry.json');
+
+describe('formatDayHours', () => {
+  it.each([
+    [{ times: { status: 'closed' } }, 'Closed'],
+    [{ times: { status: '24hours' } }, '24 Hours'],
+    [{ times: { status: 'open', hours: [{ from: '9am', to: '10pm' }] } }, '9am - 10pm'],
+    [{ times: { status: 'open', hours: [{ from: '9am', to: '1pm' }, { from: '2pm', to: '5pm' }] } }, '9am - 1pm. 2pm - 5pm'],
+    [{ times: { status: 'open', hours: [] } }, ''],
+    [{ times: { status: 'text' }, rendered: 'Open from 9:00am\n - 24 hours' }, 'Open from 9:00am - 24 hours'],
+    [{ times: { status: 'ByApp' }, rendered: 'By appointment\nonly' }, 'By appointment only'],
+    [{ times: { status: 'not-set' } }, ''],
+    [{}, ''],
+    [undefined, ''],
+  ])('%j → %j', (dayData, expected) => {
+    expect(formatDayHours(dayData)).toBe(expected);
+  });
+});
+
+describe('buildDaySchedule', () => {
+  it('converts LibCal sessions to minutes', () => {
+    const day = { times: { status: 'open', hours: [{ from: '9am', to: '1pm' }, { from: '2pm', to: '5pm' }] } };
+    expect(buildDaySchedule(day)).toEqual({
+      kind: 'open',
+      sessions: [{ open: 540, close: 780 }, { open: 840, close: 1020 }],
+      note: '9am - 1pm. 2pm - 5pm',
+    });
+  });
+
+  it('treats a 12am close as midnight at the end of the day', () => {
+    const day = { times: { status: 'open', hours: [{ from: '8am', to: '12am' }] } };
+    expect(buildDaySchedule(day).sessions).toEqual([{ open: 480, close: 1440 }]);
+  });
+
+  it.each([
+    [{ times: { status: 'closed' } }, 'closed', []],
+    [{ times: { status: '24hours' } }, '24h', [{ open: 0, close: 1440 }]],
+    [{ times: { status: 'ByApp' }, rendered: 'By appointment' }, 'by-appointment', []],
+    [{ times: { status: 'text' }, rendered: 'Open from 9:00am - 24 hours' }, 'open', [{ open: 540, close: 1440 }]],
+    [{ times: { status: 'text' }, rendered: 'Virtual Services 9am-5pm' }, 'virtual', []],
+    [{ times: { status: 'text' }, rendered: 'Closed due to snow' }, 'closed', []],
+    [{ times: { status: 'not-set' } }, 'closed', []],
+  ])('%j → %s', (dayData, kind, sessions) => {
+    const schedule = buildDaySchedule(dayData);
+    expect(schedule.kind).toBe(kind);
+    expect(schedule.sessions).toEqual(sessions);
+  });
+
+  it('keeps the original text as the note', () => {
+    expect(buildDaySchedule({ times: { status: 'text' }, rendered: 'Closed due to snow' }).note).toBe('Closed due to snow');
+  });
+});
+
+describe('buildDatedHours', () => {
+  it('keys every fetched day by ISO date', () => {
+    const lamont = libcalData.locations.find(loc => loc.lid === 8219);
+    const dated = buildDatedHours(lamont.weeks);
+    expect(Object.keys(dated)).toHaveLength(14);
+    expect(dated['2025-01-26']).toEqual({ kind: 'open', sessions: [{ open: 720, close: 1200 }], note: '12pm - 8pm' });
+    expect(dated['2025-02-08'].kind).toBe('closed');
+  });
+
+  it('handles missing weeks', () => {
+    expect(buildDatedHours(undefined)).toEqual({});
+  });
+});
+
+describe('formatAddress', () => {
+  it.each([
+    [
+      { address_line1: '125 Arborway', locality: 'Jamaica Plain', administrative_area: 'MA', postal_code: '02130' },
+      '125 Arborway, Jamaica Plain, MA 02130',
+    ],
+    [
+      { address_line1: '1 Harvard Yard', locality: 'Cambridge', administrative_area: 'MA' },
+      '1 Harvard Yard, Cambridge, MA',
+    ],
+    [{ address_line1: 'Harvard Yard', locality: 'Cambridge' }, 'Harvard Yard, Cambridge'],
+    [null, ''],
+  ])('%j → %j', (fieldAddress, expected) => {
+    expect(formatAddress(fieldAddress)).toBe(expected);
+  });
+});
+
+describe('buildLibraryRows', () => {
+  const { rows, datedHours } = buildLibraryRows(drupalPage.data, libcalData, registry);
+
+  it('keeps only enabled registry libraries, sorted by name', () => {
+    expect(rows.map(row => row.Id)).toEqual(['arnold-arboretum', 'botany', 'lamont', 'widener']);
+  });
+
+  it('flattens the first week into weekday columns', () => {
+    const lamont = rows.find(row => row.Id === 'lamont');
+    expect(lamont).toMatchObject({
+      Name: 'Lamont Library',
+      Address: '1 Harvard Yard, Cambridge, MA 02138',
+      Sunday: '12pm - 8pm',
+      Monday: 'Open from 9:00am - 24 hours',
+      Tuesday: '24 Hours',
+      Friday: 'Open until 10pm',
+    });
+  });
+
+  it('leaves amenities to the registry', () => {
+    const curated = { ...registry, lamont: { ...registry.lamont, amenities: ['printing', 'quiet-study'] } };
+    const { rows: curatedRows } = buildLibraryRows(drupalPage.data, libcalData, curated);
+    expect(curatedRows.find(row => row.Id === 'lamont')).not.toHaveProperty('Amenities');
+  });
+
+  it('trims titles and subtitles', () => {
+    expect(rows.find(row => row.Id === 'widener').Description).toBe('');
+  });
+
+  it('leaves hours empty for libraries LibCal does not return', () => {
+    const arboretum = rows.find(row => row.Id === 'arnold-arboretum');
+    expect(arboretum.Tuesday).toBe('');
+    expect(datedHours['arnold-arboretum']).toEqual({});
+  });
+
+  it('returns every fetched week in datedHours', () => {
+    expect(Object.keys(datedHours.botany)).toHaveLength(14);
+    expect(datedHours.botany['2025-02-03'].kind).toBe('by-appointment');
+  });
+
+  it('applies registry LibCal ids and display overrides', () => {
+    const overridden = {
+      ...registry,
+      lamont: { ...registry.lamont, libcalId: '8231', overrides: { Name: 'Lamont', Address: 'Harvard Yard' } },
+    };
+    const { rows: overriddenRows, datedHours: overriddenHours } = buildLibraryRows(drupalPage.data, libcalData, overridden);
+    const lamont = overriddenRows.find(row => row.Id === 'lamont');
+    expect(lamont).toMatchObject({ Name: 'Lamont', Address: 'Harvard Yard', Description: '' });
+    expect(overriddenHours.lamont).toEqual(datedHours.botany);
+  });
+
+  it('skips disabled libraries', () => {
+    const disabled = { ...registry, widener: { ...registry.widener, enabled: false } };
+    const { rows: enabledRows } = buildLibraryRows(drupalPage.data, libcalData, disabled);
+    expect(enabledRows.map(row => row.Id)).not.toContain('widener');
+  });
+
+  it('round-trips through buildCsv and the client CSV parser', () => {
+    expect(parseCSV(buildCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('buildMetadata', () => {
+  const { rows, datedHours } = buildLibraryRows(drupalPage.data, libcalData, registry);
+  const metadata = buildMetadata({
+    fetchedAt: new Date('2025-01-27T06:00:00Z'),
+    drupalLibraries: drupalPage.data,
+    libcalData,
+    rows,
+    datedHours,
+  });
+
+  it('records the fetch time and the covered dates', () => {
+    expect(metadata).toMatchObject({
+      fetchedAt: '2025-01-27T06:00:00.000Z',
+      weekStart: '2025-01-26',
+      weekEnd: '2025-02-01',
+      coverageEnd: '2025-02-08',
+    });
+  });
+
+  it('counts records from each source', () => {
+    expect(metadata.sources).toEqual({
+      drupalLibraries: drupalPage.data.length,
+      libcalLocations: libcalData.locations.length,
+      libraries: 4,
+      librariesWithHours: 3,
+    });
+  });
+
+  it('leaves dates empty when LibCal returns nothing', () => {
+    const empty = buildMetadata({
+      fetchedAt: new Date('2025-01-27T06:00:00Z'),
+      drupalLibraries: [],
+      libcalData: { locations: [] },
+      rows: [],
+      datedHours: {},
+    });
+    expect(empty).toMatchObject({ weekStart: null, weekEnd: null, coverageEnd: null });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * The updater pipeline without any file writes: fetch from a source,
+ * validate, build rows and hours, and diff against the previous CSV.
+ * update-hours.mjs decides where the results go; tests run it against
+ * the recorded fixtures.
+ */
+
+import { buildLibraryRows, buildMetadata } from './hours-data.mjs';
+import {
+  validateDrupalPayload,
+  validateLibCalPayload,
+  validateOutput,
+  diffLibraryRows,
+  formatDiffReport,
+} from './validate.mjs';
+import { fetchDrupalLibraries } from './sources.mjs';
+import { getEnabledAliases } from '../../src/components/registry.js';
+
+/**
+ * Payload or output that failed validation; update-hours.mjs exits with its own code for these
+ */
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Throw with every problem listed, so one run shows everything to fix
+ */
+export function failOnErrors(title, errors) {
+  if (errors.length === 0) return;
+  throw new ValidationError(`${title}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+}
+
+/**
+ * Replace the given libraries' rows in a previous run's rows, for partial (--only) runs
+ * Keeps the Name ordering buildLibraryRows produces
+ */
+export function mergeRows(previousRows, rows) {
+  const updated = new Set(rows.map(row => row.Id));
+  return [...previousRows.filter(row => !updated.has(row.Id)), ...rows]
+    .sort((a, b) => a.Name.localeCompare(b.Name));
+}
+
+/**
+ * Replace the given libraries' dated hours in a previous run's hours.json, sorted by alias
+ */
+export function mergeHours(previousHours, hours) {
+  const merged = { ...previousHours, ...hours };
+  return Object.fromEntries(Object.keys(merged).sort().map(alias => [alias, merged[alias]]));
+}
+
+/**
+ * Run the pipeline and return everything update-hours.mjs writes
+ * Throws if a payload or the generated data fails validation
+ */
+export async function runPipeline({
+  source,
+  registry,
+  weeks,
+  maxLibrariesWithoutHours,
+  previousRows = [],
+  fetchedAt = new Date(),
+  log = () => {},
+  warn = () => {},
+  debug = () => {},
+}) {
+  log('Fetching library metadata from Drupal...');
+  const drupalLibraries = await fetchDrupalLibraries(source);
+  debug(`Drupal returned ${drupalLibraries.length} library nodes`);
+  failOnErrors('Drupal payload failed validation', validateDrupalPayload(drupalLibraries));
+
+  log(`Fetching ${weeks} weeks of hours from LibCal...`);
+  const libcalData = await source.getLibCalHours(weeks);
+  debug(`LibCal returned ${libcalData?.locations?.length ?? 0} locations`);
+  failOnErrors('LibCal payload failed validation', validateLibCalPayload(libcalData));
+
+  const { rows, datedHours } = buildLibraryRows(drupalLibraries, libcalData, registry);
+  for (const row of rows) {
+    const days = Object.values(datedHours[row.Id]);
+    const open = days.filter(schedule => schedule.kind !== 'closed').length;
+    debug(`  ${row.Id}: ${days.length} dated days, ${open} not closed`);
+  }
+
+  // Check the output before anything is written, so a bad run leaves the old data in place
+  const { errors, warnings } = validateOutput({
+    rows,
+    datedHours,
+    trackedAliases: new Set(getEnabledAliases(registry)),
+    maxLibrariesWithoutHours,
+  });
+  for (const warning of warnings) warn(`Warning: ${warning}`);
+  failOnErrors('Generated data failed validation', errors);
+
+  // Date-keyed hours (alias → ISO date → hours), sorted for stable diffs
+  const hours = {};
+  for (const alias of Object.keys(datedHours).sort()) {
+    hours[alias] = datedHours[alias];
+  }
+
+  return {
+    rows,
+    hours,
+    metadata: buildMetadata({ fetchedAt, drupalLibraries, libcalData, rows, datedHours }),
+    report: formatDiffReport(diffLibraryRows(previousRows, rows)),
+  };
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { runPipeline, mergeRows, mergeHours, ValidationError } from './pipeline.mjs';
+import { createFixtureSource } from './sources.mjs';
+import { buildCsv } from './hours-data.mjs';
+import { parseCSV } from '../../src/components/csv.js';
+import { FIXTURES_DIR, loadFixture } from '../../test/helpers.js';
+
+const registry = loadFixture('library-registry.json');
+
+/**
+ * Runs the pipeline against the recorded fixtures
+ */
+function runFixtures(options = {}) {
+  return runPipeline({
+    source: createFixtureSource(FIXTURES_DIR),
+    registry,
+    weeks: 2,
+    maxLibrariesWithoutHours: 1,
+    fetchedAt: new Date('2025-01-27T06:00:00Z'),
+    ...options,
+  });
+}
+
+describe('runPipeline', () => {
+  it('builds rows, hours and metadata from the recorded payloads', async () => {
+    const { rows, hours, metadata } = await runFixtures();
+    expect(rows.map(row => row.Id)).toEqual(['arnold-arboretum', 'botany', 'lamont', 'widener']);
+    expect(Object.keys(hours)).toEqual(['arnold-arboretum', 'botany', 'lamont', 'widener']);
+    expect(hours.lamont['2025-01-28'].kind).toBe('24h');
+    expect(metadata).toMatchObject({ fetchedAt: '2025-01-27T06:00:00.000Z', weekStart: '2025-01-26', coverageEnd: '2025-02-08' });
+  });
+
+  it('reports changes against the previous rows', async () => {
+    const { rows } = await runFixtures();
+    const previousRows = parseCSV(buildCsv(rows)).map(row => (row.Id === 'lamont' ? { ...row, Sunday: 'Closed' } : row));
+    const { report } = await runFixtures({ previousRows });
+    expect(report).toContain('~ Lamont Library (lamont)');
+    expect(report).toContain('Sunday: Closed → 12pm - 8pm');
+  });
+
+  it('passes warnings to the caller', async () => {
+    const warnings = [];
+    await runFixtures({ warn: message => warnings.push(message) });
+    expect(warnings).toEqual(['Warning: No hours for: arnold-arboretum']);
+  });
+
+  it('rejects when the output fails validation', async () => {
+    await expect(runFixtures({ maxLibrariesWithoutHours: 0 })).rejects.toThrow(ValidationError);
+    await expect(runFixtures({ maxLibrariesWithoutHours: 0 })).rejects.toThrow(
+      /Generated data failed validation:\n {2}- 1 libraries have no hours at all \(limit 0\): arnold-arboretum/
+    );
+  });
+
+  it('fails on a missing tracked library', async () => {
+    const withHoughton = { ...registry, houghton: { ...registry.lamont } };
+    await expect(runFixtures({ registry: withHoughton })).rejects.toThrow('tracked libraries not found in Drupal: houghton');
+  });
+});
+
+describe('mergeRows / mergeHours', () => {
+  const previousRows = [
+    { Id: 'widener', Name: 'Widener Library', Monday: '9am - 10pm' },
+    { Id: 'lamont', Name: 'Lamont Library', Monday: '24 Hours' },
+  ];
+
+  it('replaces updated libraries and keeps the rest in Name order', () => {
+    const rows = [{ Id: 'lamont', Name: 'Lamont Library', Monday: 'Closed' }, { Id: 'botany', Name: 'Botany Libraries', Monday: '9am - 5pm' }];
+    expect(mergeRows(previousRows, rows)).toEqual([
+      { Id: 'botany', Name: 'Botany Libraries', Monday: '9am - 5pm' },
+      { Id: 'lamont', Name: 'Lamont Library', Monday: 'Closed' },
+      { Id: 'widener', Name: 'Widener Library', Monday: '9am - 10pm' },
+    ]);
+  });
+
+  it('replaces updated hours and sorts by alias', () => {
+    const merged = mergeHours({ widener: { a: 1 }, lamont: { a: 1 } }, { lamont: { b: 2 }, botany: { c: 3 } });
+    expect(merged).toEqual({ botany: { c: 3 }, lamont: { b: 2 }, widener: { a: 1 } });
+    expect(Object.keys(merged)).toEqual(['botany', 'lamont', 'widener']);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Where the updater gets its Drupal and LibCal payloads from. A source is
+ * an object with two async methods:
+ *
+ *   getDrupalPage(index, url) → one JSON:API page (url is the previous page's next link)
+ *   getLibCalHours(weeks)     → the LibCal hours grid
+ *
+ * createHttpSource talks to the live APIs (or a stand-in server),
+ * createFixtureSource replays payloads recorded on disk, and
+ * createRecordingSource saves everything another source returns so it can
+ * be replayed later.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+export const DRUPAL_LIBRARIES_URL =
+  'https://library.harvard.edu/jsonapi/node/library?page[limit]=50&fields[node--library]=title,field_library_id,field_subtitle,field_address,path';
+
+export const LIBCAL_HOURS_URL = 'https://libcal.library.harvard.edu/api_hours_grid.php?iid=8218&format=json';
+
+export const LIBCAL_FILE = 'libcal-hours.json';
+
+/**
+ * File name of a recorded Drupal page: drupal-libraries.json, drupal-libraries-2.json, ...
+ */
+export function drupalPageFile(index) {
+  return index === 0 ? 'drupal-libraries.json' : `drupal-libraries-${index + 1}.json`;
+}
+
+/**
+ * Source backed by HTTP; point drupalUrl/libcalUrl at a local server to stand in for the live APIs
+ */
+export function createHttpSource({
+  fetch: fetchImpl = globalThis.fetch,
+  drupalUrl = DRUPAL_LIBRARIES_URL,
+  libcalUrl = LIBCAL_HOURS_URL,
+} = {}) {
+  async function getJson(url, label) {
+    const res = await fetchImpl(url);
+    if (!res.ok) throw new Error(`${label} API error: ${res.status}`);
+    return res.json();
+  }
+
+  return {
+    getDrupalPage: (index, url) => getJson(url ?? drupalUrl, 'Drupal'),
+    getLibCalHours: (weeks) => getJson(`${libcalUrl}&weeks=${weeks}`, 'LibCal'),
+  };
+}
+
+/**
+ * Source that replays payloads recorded by createRecordingSource
+ */
+export function createFixtureSource(dir) {
+  function readFixture(file) {
+    const path = join(dir, file);
+    try {
+      return JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read fixture ${path}: ${err.message}`);
+    }
+  }
+
+  return {
+    getDrupalPage: async (index) => readFixture(drupalPageFile(index)),
+    getLibCalHours: async () => readFixture(LIBCAL_FILE),
+  };
+}
+
+/**
+ * Wrap a source so every payload it returns is also written to dir
+ */
+export function createRecordingSource(source, dir) {
+  mkdirSync(dir, { recursive: true });
+
+  function record(file, payload) {
+    writeFileSync(join(dir, file), JSON.stringify(payload, null, 2) + '\n');
+    return payload;
+  }
+
+  return {
+    getDrupalPage: async (index, url) => record(drupalPageFile(index), await source.getDrupalPage(index, url)),
+    getLibCalHours: async (weeks) => record(LIBCAL_FILE, await source.getLibCalHours(weeks)),
+  };
+}
+
+/**
+ * Fetch all library nodes from Drupal JSON:API, following pagination links
+ */
+export async function fetchDrupalLibraries(source) {
+  const libraries = [];
+  let url;
+  let index = 0;
+
+  do {
+    const page = await source.getDrupalPage(index, url);
+    libraries.push(...(page.data || []));
+    url = page.links?.next?.href || null;
+    index++;
+  } while (url);
+
+  return libraries;
+}
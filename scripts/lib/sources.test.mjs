@@ -0,0 +1,100 @@
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  drupalPageFile,
+  createHttpSource,
+  createFixtureSource,
+  createRecordingSource,
+  fetchDrupalLibraries,
+} from './sources.mjs';
+import { FIXTURES_DIR, loadFixture, fakeFetch, jsonResponse } from '../../test/helpers.js';
+
+/**
+ * Stand-in for fetch that serves canned JSON by URL
+ */
+function serve(responses) {
+  return fakeFetch(url => (url in responses ? jsonResponse(responses[url]) : undefined));
+}
+
+const page1 = { data: [{ id: 'a' }], links: { next: { href: 'http://drupal.test/libraries?page=2' } } };
+const page2 = { data: [{ id: 'b' }], links: {} };
+
+describe('drupalPageFile', () => {
+  it.each([
+    [0, 'drupal-libraries.json'],
+    [1, 'drupal-libraries-2.json'],
+    [4, 'drupal-libraries-5.json'],
+  ])('%i → %s', (index, file) => {
+    expect(drupalPageFile(index)).toBe(file);
+  });
+});
+
+describe('createHttpSource', () => {
+  it('follows Drupal pagination from the configured URL', async () => {
+    const { fetch, requests } = serve({
+      'http://drupal.test/libraries': page1,
+      'http://drupal.test/libraries?page=2': page2,
+    });
+    const source = createHttpSource({ fetch, drupalUrl: 'http://drupal.test/libraries' });
+    expect(await fetchDrupalLibraries(source)).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(requests.map(request => request.url)).toEqual(['http://drupal.test/libraries', 'http://drupal.test/libraries?page=2']);
+  });
+
+  it('asks LibCal for the requested number of weeks', async () => {
+    const { fetch, requests } = serve({ 'http://libcal.test/grid?format=json&weeks=2': { locations: [] } });
+    const source = createHttpSource({ fetch, libcalUrl: 'http://libcal.test/grid?format=json' });
+    expect(await source.getLibCalHours(2)).toEqual({ locations: [] });
+    expect(requests.map(request => request.url)).toEqual(['http://libcal.test/grid?format=json&weeks=2']);
+  });
+
+  it('rejects error responses', async () => {
+    const { fetch } = serve({});
+    const source = createHttpSource({ fetch, drupalUrl: 'http://drupal.test/missing', libcalUrl: 'http://libcal.test/x?' });
+    await expect(fetchDrupalLibraries(source)).rejects.toThrow('Drupal API error: 404');
+    await expect(source.getLibCalHours(4)).rejects.toThrow('LibCal API error: 404');
+  });
+});
+
+describe('createFixtureSource', () => {
+  it('replays the recorded payloads', async () => {
+    const source = createFixtureSource(FIXTURES_DIR);
+    const drupal = loadFixture('drupal-libraries.json');
+    expect(await fetchDrupalLibraries(source)).toEqual(drupal.data);
+    expect((await source.getLibCalHours(4)).locations).toHaveLength(3);
+  });
+
+  it('names the missing file', async () => {
+    const source = createFixtureSource('/nonexistent');
+    await expect(source.getLibCalHours(4)).rejects.toThrow('Could not read fixture /nonexistent/libcal-hours.json');
+  });
+});
+
+describe('createRecordingSource', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('records payloads that replay identically', async () => {
+    dir = mkdtempSync(join(tmpdir(), 'hours-record-'));
+    const { fetch } = serve({
+      'http://drupal.test/libraries': page1,
+      'http://drupal.test/libraries?page=2': page2,
+      'http://libcal.test/grid?format=json&weeks=4': { locations: [{ lid: 1, weeks: [] }] },
+    });
+    const live = createHttpSource({ fetch, drupalUrl: 'http://drupal.test/libraries', libcalUrl: 'http://libcal.test/grid?format=json' });
+    const recorder = createRecordingSource(live, dir);
+
+    const recordedLibraries = await fetchDrupalLibraries(recorder);
+    const recordedHours = await recorder.getLibCalHours(4);
+    expect(readdirSync(dir).sort()).toEqual(['drupal-libraries-2.json', 'drupal-libraries.json', 'libcal-hours.json']);
+
+    const replay = createFixtureSource(dir);
+    expect(await fetchDrupalLibraries(replay)).toEqual(recordedLibraries);
+    expect(await replay.getLibCalHours(4)).toEqual(recordedHours);
+  });
+});
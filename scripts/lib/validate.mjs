@@ -0,0 +1,193 @@
+/**
+ * Validation and change reporting for the hours updater. Checks the raw
+ * Drupal and LibCal payloads before they're used, checks the generated rows
+ * before they're written, and diffs them against the previous libraries.csv.
+ * Hours text is checked with the same parser the client uses, so anything
+ * flagged here would show up wrong in the app.
+ */
+
+import { parseHoursText } from '../../src/components/libraryUtils.js';
+import { DAYS, CSV_HEADERS } from './hours-data.mjs';
+
+const LIBCAL_STATUSES = new Set(['open', 'closed', '24hours', 'text', 'ByApp', 'not-set']);
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check the Drupal JSON:API library nodes
+ * Returns a list of problems; empty means the payload is usable
+ */
+export function validateDrupalPayload(libraries) {
+  if (!Array.isArray(libraries)) return ['Drupal: expected an array of library nodes'];
+  if (libraries.length === 0) return ['Drupal: no library nodes returned'];
+
+  const errors = [];
+  libraries.forEach((node, index) => {
+    const attrs = node?.attributes;
+    const label = `Drupal node ${index}${attrs?.title ? ` (${attrs.title})` : ''}`;
+    if (!attrs || typeof attrs !== 'object') {
+      errors.push(`${label}: missing attributes`);
+      return;
+    }
+    if (typeof attrs.title !== 'string' || attrs.title.trim() === '') {
+      errors.push(`${label}: missing title`);
+    }
+    if (attrs.path && typeof attrs.path.alias !== 'string') {
+      errors.push(`${label}: path.alias is not a string`);
+    }
+    if (attrs.field_library_id != null && !/^\d+$/.test(String(attrs.field_library_id))) {
+      errors.push(`${label}: field_library_id "${attrs.field_library_id}" is not a LibCal id`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the LibCal hours grid payload
+ * Returns a list of problems; empty means the payload is usable
+ */
+export function validateLibCalPayload(libcalData) {
+  if (!Array.isArray(libcalData?.locations)) return ['LibCal: expected a locations array'];
+  if (libcalData.locations.length === 0) return ['LibCal: no locations returned'];
+
+  const errors = [];
+  for (const loc of libcalData.locations) {
+    const label = `LibCal location ${loc?.lid ?? '?'}${loc?.name ? ` (${loc.name})` : ''}`;
+    if (loc?.lid == null) errors.push(`${label}: missing lid`);
+    if (!Array.isArray(loc?.weeks)) {
+      errors.push(`${label}: missing weeks`);
+      continue;
+    }
+    loc.weeks.forEach((week, weekIndex) => {
+      for (const day of DAYS) {
+        const dayData = week?.[day];
+        if (!dayData) {
+          errors.push(`${label}: week ${weekIndex} has no ${day}`);
+          continue;
+        }
+        if (!DATE_KEY_PATTERN.test(dayData.date || '')) {
+          errors.push(`${label}: week ${weekIndex} ${day} has invalid date "${dayData.date}"`);
+        }
+        if (!LIBCAL_STATUSES.has(dayData.times?.status)) {
+          errors.push(`${label}: ${dayData.date || day} has unknown status "${dayData.times?.status}"`);
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * True when hours text would be misread by the client parser:
+ * non-empty text that doesn't say "closed" but yields no sessions
+ */
+export function isUnparseableHours(text) {
+  const note = (text || '').trim();
+  if (note === '') return false;
+  const { kind } = parseHoursText(note);
+  return kind === 'closed' && !/^closed/i.test(note);
+}
+
+/**
+ * True when a library has no hours at all: every weekday column empty
+ * and no dated schedule with any text
+ */
+function hasNoHours(row, datedHours) {
+  const weekEmpty = DAYS.every(day => !row[day]);
+  const dated = Object.values(datedHours || {});
+  return weekEmpty && dated.every(schedule => !schedule.note);
+}
+
+/**
+ * Check the generated rows and dated hours before they're written
+ * errors make the run fail; warnings are reported but don't block the write
+ */
+export function validateOutput({ rows, datedHours, trackedAliases, maxLibrariesWithoutHours }) {
+  const errors = [];
+  const warnings = [];
+
+  if (rows.length === 0) errors.push('No libraries in the output');
+
+  const seen = new Set();
+  for (const row of rows) {
+    if (seen.has(row.Id)) errors.push(`Duplicate library "${row.Id}"`);
+    seen.add(row.Id);
+
+    for (const header of CSV_HEADERS) {
+      if (typeof row[header] !== 'string') errors.push(`${row.Id}: ${header} is not a string`);
+    }
+    if (!row.Name) errors.push(`${row.Id}: missing Name`);
+    if (!row.Address) warnings.push(`${row.Id}: missing Address`);
+
+    for (const day of DAYS) {
+      if (isUnparseableHours(row[day])) {
+        warnings.push(`${row.Id}: unparseable ${day} hours "${row[day]}"`);
+      }
+    }
+    for (const [date, schedule] of Object.entries(datedHours[row.Id] || {})) {
+      if (isUnparseableHours(schedule.note)) {
+        warnings.push(`${row.Id}: unparseable hours on ${date} "${schedule.note}"`);
+      }
+    }
+  }
+
+  const missing = [...trackedAliases].filter(alias => !seen.has(alias));
+  if (missing.length > 0) {
+    errors.push(`${missing.length} tracked libraries not found in Drupal: ${missing.join(', ')}`);
+  }
+
+  const withoutHours = rows.filter(row => hasNoHours(row, datedHours[row.Id])).map(row => row.Id);
+  if (withoutHours.length > maxLibrariesWithoutHours) {
+    errors.push(
+      `${withoutHours.length} libraries have no hours at all (limit ${maxLibrariesWithoutHours}): ${withoutHours.join(', ')}`
+    );
+  } else if (withoutHours.length > 0) {
+    warnings.push(`No hours for: ${withoutHours.join(', ')}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Compare the previous libraries.csv rows with the new ones, keyed by Id
+ */
+export function diffLibraryRows(previousRows, rows) {
+  const previousById = new Map(previousRows.map(row => [row.Id, row]));
+  const currentById = new Map(rows.map(row => [row.Id, row]));
+
+  const added = rows.filter(row => !previousById.has(row.Id));
+  const removed = previousRows.filter(row => !currentById.has(row.Id));
+  const changed = [];
+
+  for (const row of rows) {
+    const before = previousById.get(row.Id);
+    if (!before) continue;
+    const fields = CSV_HEADERS
+      .filter(header => header !== 'Id' && (before[header] ?? '') !== (row[header] ?? ''))
+      .map(header => ({ field: header, before: before[header] ?? '', after: row[header] ?? '' }));
+    if (fields.length > 0) changed.push({ Id: row.Id, Name: row.Name, fields });
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Render a diff from diffLibraryRows as plain text for the run log
+ */
+export function formatDiffReport({ added, removed, changed }) {
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+    return 'No changes since the previous libraries.csv';
+  }
+
+  const lines = [
+    `Changes since the previous libraries.csv: ${added.length} added, ${removed.length} removed, ${changed.length} changed`,
+  ];
+  for (const row of added) lines.push(`  + ${row.Name} (${row.Id})`);
+  for (const row of removed) lines.push(`  - ${row.Name} (${row.Id})`);
+  for (const { Id, Name, fields } of changed) {
+    lines.push(`  ~ ${Name} (${Id})`);
+    for (const { field, before, after } of fields) {
+      lines.push(`      ${field}: ${before || '(empty)'} → ${after || '(empty)'}`);
+    }
+  }
+  return lines.join('\n');
+}
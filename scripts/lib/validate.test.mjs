@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateDrupalPayload,
+  validateLibCalPayload,
+  isUnparseableHours,
+  validateOutput,
+  diffLibraryRows,
+  formatDiffReport,
+} from './validate.mjs';
+import { buildLibraryRows } from './hours-data.mjs';
+import { getEnabledAliases } from '../../src/components/registry.js';
+import { loadFixture } from '../../test/helpers.js';
+
+const drupalPage = loadFixture('drupal-libraries.json');
+const libcalData = loadFixture('libcal-hours.json');
+const registry = loadFixture('library-registry.json');
+const TRACKED = new Set(getEnabledAliases(registry));
+
+describe('validateDrupalPayload', () => {
+  it('accepts the recorded payload', () => {
+    expect(validateDrupalPayload(drupalPage.data)).toEqual([]);
+  });
+
+  it.each([
+    [null, 'Drupal: expected an array of library nodes'],
+    [[], 'Drupal: no library nodes returned'],
+    [[{}], 'Drupal node 0: missing attributes'],
+    [[{ attributes: { title: ' ' } }], 'Drupal node 0 ( ): missing title'],
+    [[{ attributes: { title: 'Lamont', path: { alias: 5 } } }], 'Drupal node 0 (Lamont): path.alias is not a string'],
+    [[{ attributes: { title: 'Lamont', field_library_id: 'abc' } }], 'Drupal node 0 (Lamont): field_library_id "abc" is not a LibCal id'],
+  ])('%j', (payload, error) => {
+    expect(validateDrupalPayload(payload)).toEqual([error]);
+  });
+});
+
+describe('validateLibCalPayload', () => {
+  it('accepts the recorded payload', () => {
+    expect(validateLibCalPayload(libcalData)).toEqual([]);
+  });
+
+  it('rejects payloads without locations', () => {
+    expect(validateLibCalPayload({})).toEqual(['LibCal: expected a locations array']);
+    expect(validateLibCalPayload({ locations: [] })).toEqual(['LibCal: no locations returned']);
+  });
+
+  it('flags missing days, bad dates and unknown statuses', () => {
+    const week = structuredClone(libcalData.locations[0].weeks[0]);
+    delete week.Saturday;
+    week.Monday.date = '01/27/2025';
+    week.Tuesday.times.status = 'maybe';
+    const errors = validateLibCalPayload({ locations: [{ lid: 8219, name: 'Lamont Library', weeks: [week] }] });
+    expect(errors).toEqual([
+      'LibCal location 8219 (Lamont Library): week 0 Monday has invalid date "01/27/2025"',
+      'LibCal location 8219 (Lamont Library): 2025-01-28 has unknown status "maybe"',
+      'LibCal location 8219 (Lamont Library): week 0 has no Saturday',
+    ]);
+  });
+});
+
+describe('isUnparseableHours', () => {
+  it.each([
+    ['', false],
+    ['Closed', false],
+    ['Closed due to snow', false],
+    ['24 Hours', false],
+    ['9am - 1pm. 2pm - 5pm', false],
+    ['Open until 10pm', false],
+    ['Virtual Services 9am-5pm', false],
+    ['By appointment only', false],
+    ['9 - 5', true],
+    ['Noon to 8', true],
+    ['See website', true],
+  ])('%j → %s', (text, expected) => {
+    expect(isUnparseableHours(text)).toBe(expected);
+  });
+});
+
+describe('validateOutput', () => {
+  const { rows, datedHours } = buildLibraryRows(drupalPage.data, libcalData, registry);
+  const options = { rows, datedHours, trackedAliases: TRACKED, maxLibrariesWithoutHours: 1 };
+
+  it('passes the recorded run, noting the library without hours', () => {
+    expect(validateOutput(options)).toEqual({ errors: [], warnings: ['No hours for: arnold-arboretum'] });
+  });
+
+  it('fails when too many libraries have no hours', () => {
+    const { errors } = validateOutput({ ...options, datedHours: {}, rows: rows.map(row => ({
+      ...row, Sunday: '', Monday: '', Tuesday: '', Wednesday: '', Thursday: '', Friday: '', Saturday: '',
+    })) });
+    expect(errors).toEqual([
+      '4 libraries have no hours at all (limit 1): arnold-arboretum, botany, lamont, widener',
+    ]);
+  });
+
+  it('fails when tracked libraries are missing', () => {
+    const { errors } = validateOutput({ ...options, trackedAliases: new Set([...TRACKED, 'houghton']) });
+    expect(errors).toEqual(['1 tracked libraries not found in Drupal: houghton']);
+  });
+
+  it('fails on duplicate ids and missing names', () => {
+    const { errors } = validateOutput({ ...options, rows: [...rows, { ...rows[1], Name: '' }] });
+    expect(errors).toEqual(['Duplicate library "botany"', 'botany: missing Name']);
+  });
+
+  it('warns about hours the client parser would misread', () => {
+    const lamont = rows.find(row => row.Id === 'lamont');
+    const { errors, warnings } = validateOutput({
+      ...options,
+      rows: [{ ...lamont, Wednesday: 'See website' }],
+      trackedAliases: new Set(['lamont']),
+      datedHours: { lamont: { '2025-01-29': { kind: 'closed', sessions: [], note: 'See website' } } },
+    });
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      'lamont: unparseable Wednesday hours "See website"',
+      'lamont: unparseable hours on 2025-01-29 "See website"',
+    ]);
+  });
+
+  it('fails on empty output', () => {
+    const { errors } = validateOutput({ ...options, rows: [], trackedAliases: new Set() });
+    expect(errors).toEqual(['No libraries in the output']);
+  });
+});
+
+describe('diffLibraryRows / formatDiffReport', () => {
+  const lamont = { Id: 'lamont', Name: 'Lamont Library', Description: '', Address: '1 Harvard Yard', Monday: '9am - 10pm' };
+  const widener = { Id: 'widener', Name: 'Widener Library', Description: '', Address: 'Harvard Yard', Monday: '9am - 10pm' };
+  const botany = { Id: 'botany', Name: 'Botany Libraries', Description: '', Address: '22 Divinity Ave', Monday: '9am - 5pm' };
+
+  it('reports added, removed and changed libraries', () => {
+    const diff = diffLibraryRows([lamont, widener], [{ ...lamont, Monday: '24 Hours' }, botany]);
+    expect(diff.added.map(row => row.Id)).toEqual(['botany']);
+    expect(diff.removed.map(row => row.Id)).toEqual(['widener']);
+    expect(diff.changed).toEqual([
+      { Id: 'lamont', Name: 'Lamont Library', fields: [{ field: 'Monday', before: '9am - 10pm', after: '24 Hours' }] },
+    ]);
+    expect(formatDiffReport(diff)).toBe([
+      'Changes since the previous libraries.csv: 1 added, 1 removed, 1 changed',
+      '  + Botany Libraries (botany)',
+      '  - Widener Library (widener)',
+      '  ~ Lamont Library (lamont)',
+      '      Monday: 9am - 10pm → 24 Hours',
+    ].join('\n'));
+  });
+
+  it('shows empty values explicitly', () => {
+    const diff = diffLibraryRows([lamont], [{ ...lamont, Monday: '' }]);
+    expect(formatDiffReport(diff)).toContain('Monday: 9am - 10pm → (empty)');
+  });
+
+  it('reports no changes for identical rows', () => {
+    expect(formatDiffReport(diffLibraryRows([lamont], [{ ...lamont }]))).toBe('No changes since the previous libraries.csv');
+  });
+});
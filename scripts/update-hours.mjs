@@ -1,257 +1,152 @@
-import { writeFileSync, readFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { writeFileSync, readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { buildCsv } from './lib/hours-data.mjs';
+import { runPipeline, failOnErrors, mergeRows, mergeHours, ValidationError } from './lib/pipeline.mjs';
+import { createHttpSource, createFixtureSource, createRecordingSource } from './lib/sources.mjs';
+import { parseCliArgs, selectRegistryEntries, UsageError, USAGE, EXIT_CODES } from './lib/cli.mjs';
+import { parseCSV } from '../src/components/csv.js';
+import { validateRegistry } from '../src/components/registry.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PUBLIC_DIR = join(__dirname, '..', 'public');
 
-// The 23 Drupal path aliases we track (extracted from /libraries/<alias>)
-const TRACKED_ALIASES = new Set([
-  'arnold-arboretum',
-  'baker-business',
-  'botany',
-  'cabot',
-  'countway-medicine',
-  'ernst-mayr',
-  'fine-arts',
-  'loeb-design',
-  'fung',
-  'gutman',
-  'divinity',
-  'law',
-  'yenching',
-  'kennedy-school',
-  'houghton',
-  'lamont',
-  'loeb-music',
-  'robbins-philosophy',
-  'schlesinger',
-  'science-engineering-complex-library',
-  'tozzer',
-  'widener',
-  'poetryroom',
-]);
+// Tracked libraries: aliases, LibCal overrides, coordinates and display overrides
+const DEFAULT_REGISTRY_PATH = join(PUBLIC_DIR, 'library-registry.json');
 
-// One-time migration: old CSV slugs → new Drupal aliases (for library-coords.json)
-const SLUG_MIGRATION = {
-  'arnold-arboretum-horticultural-library': 'arnold-arboretum',
-  'baker-library-and-special-collections': 'baker-business',
-  'botany-libraries': 'botany',
-  'cabot-science-library': 'cabot',
-  'countway-library': 'countway-medicine',
-  'ernst-mayr-library': 'ernst-mayr',
-  'fine-arts-library': 'fine-arts',
-  'frances-loeb-library': 'loeb-design',
-  'fung-library': 'fung',
-  'gutman-library': 'gutman',
-  'harvard-divinity-school-library': 'divinity',
-  'harvard-law-school-library': 'law',
-  'harvard-yenching-library': 'yenching',
-  'hks-library-and-research-services': 'kennedy-school',
-  'houghton-library': 'houghton',
-  'lamont-library': 'lamont',
-  'loeb-music-library': 'loeb-music',
-  'robbins-library-of-philosophy': 'robbins-philosophy',
-  'schlesinger-library': 'schlesinger',
-  'science-engineering-complex-library': 'science-engineering-complex-library',
-  'tozzer-library': 'tozzer',
-  'widener-library': 'widener',
-  'woodberry-poetry-room': 'poetryroom',
-};
-
-const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-/**
- * Fetch all library nodes from Drupal JSON:API (handles pagination)
- */
-async function fetchDrupalLibraries() {
-  const fields = 'title,field_library_id,field_subtitle,field_address,path';
-  let url = `https://library.harvard.edu/jsonapi/node/library?page[limit]=50&fields[node--library]=${fields}`;
-  const libraries = [];
+// Number of weeks of hours to fetch from LibCal (current week first)
+const DEFAULT_WEEKS = 4;
 
-  while (url) {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Drupal API error: ${res.status}`);
-    const json = await res.json();
-    libraries.push(...json.data);
-    url = json.links?.next?.href || null;
-  }
+// Fail the run if more libraries than this come back with no hours at all
+const MAX_LIBRARIES_WITHOUT_HOURS = 3;
 
-  return libraries;
-}
+// Library list file name for each --format
+const LIBRARY_FILES = {
+  csv: 'libraries.csv',
+  json: 'libraries.json',
+};
 
 /**
- * Fetch hours from LibCal API
+ * Read a JSON or CSV file from a previous run, or a fallback if it doesn't exist yet
  */
-async function fetchLibCalHours() {
-  const url = 'https://libcal.library.harvard.edu/api_hours_grid.php?iid=8218&format=json&weeks=1';
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`LibCal API error: ${res.status}`);
-  return res.json();
+function readPrevious(path, parse, fallback) {
+  try {
+    return parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return fallback;
+  }
 }
 
 /**
- * Format a single day's hours from LibCal structured data
+ * Read and validate the library registry
  */
-function formatDayHours(dayData) {
-  if (!dayData || !dayData.times) return '';
-
-  const { status, hours } = dayData.times;
-
-  switch (status) {
-    case 'closed':
-      return 'Closed';
-    case '24hours':
-      return '24 Hours';
-    case 'open':
-      if (!hours || hours.length === 0) return '';
-      return hours.map(h => `${h.from} - ${h.to}`).join('. ');
-    case 'ByApp':
-    case 'text': {
-      // Use rendered text, clean up newlines and extra whitespace
-      const rendered = (dayData.rendered || '').replace(/\n/g, ' ').replace(/\s+/g, ' ').trim();
-      return rendered || '';
-    }
-    case 'not-set':
-    default:
-      return '';
-  }
+function loadRegistry(registryPath) {
+  const registry = JSON.parse(readFileSync(registryPath, 'utf-8'));
+  failOnErrors('library-registry.json failed validation', validateRegistry(registry));
+  return registry;
 }
 
 /**
- * Format address from Drupal field_address components
+ * Pick the payload source from the command line and environment
  */
-function formatAddress(fieldAddress) {
-  if (!fieldAddress) return '';
-  const parts = [
-    fieldAddress.address_line1,
-    fieldAddress.locality,
-    fieldAddress.administrative_area,
-    fieldAddress.postal_code,
-  ].filter(Boolean);
-
-  if (parts.length >= 3) {
-    // "125 Arborway, Jamaica Plain, MA 02130"
-    const street = parts[0];
-    const city = parts[1];
-    const state = parts[2];
-    const zip = parts[3] || '';
-    return `${street}, ${city}, ${state}${zip ? ' ' + zip : ''}`;
+function createSource({ fixtures, record }) {
+  if (fixtures) {
+    console.log(`Reading recorded payloads from ${resolve(fixtures)}`);
+    return createFixtureSource(fixtures);
   }
-  return parts.join(', ');
-}
 
-/**
- * Escape a CSV field value (wrap in quotes if needed)
- */
-function csvField(value) {
-  const str = (value || '').toString();
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
+  const source = createHttpSource({
+    drupalUrl: process.env.DRUPAL_LIBRARIES_URL || undefined,
+    libcalUrl: process.env.LIBCAL_HOURS_URL || undefined,
+  });
+  if (record) {
+    console.log(`Recording payloads to ${resolve(record)}`);
+    return createRecordingSource(source, record);
   }
-  return `"${str}"`;
+  return source;
 }
 
-/**
- * Migrate library-coords.json keys from old slugs to Drupal aliases
- */
-function migrateCoords() {
-  const coordsPath = join(PUBLIC_DIR, 'library-coords.json');
-  let coords;
-  try {
-    coords = JSON.parse(readFileSync(coordsPath, 'utf-8'));
-  } catch {
-    console.warn('Could not read library-coords.json, skipping migration');
+async function main(argv) {
+  const options = parseCliArgs(argv, {
+    out: PUBLIC_DIR,
+    weeks: DEFAULT_WEEKS,
+    registry: DEFAULT_REGISTRY_PATH,
+  });
+  if (options.help) {
+    console.log(USAGE);
     return;
   }
 
-  let migrated = false;
-  const newCoords = {};
-
-  for (const [key, value] of Object.entries(coords)) {
-    if (SLUG_MIGRATION[key]) {
-      // Old slug found, migrate to new alias
-      newCoords[SLUG_MIGRATION[key]] = value;
-      migrated = true;
-    } else {
-      // Already a new alias or unknown key, keep as-is
-      newCoords[key] = value;
-    }
-  }
-
-  if (migrated) {
-    writeFileSync(coordsPath, JSON.stringify(newCoords, null, 2) + '\n');
-    console.log('Migrated library-coords.json keys to Drupal aliases');
+  const debug = options.verbose ? console.log : () => {};
+  debug(`Options: ${JSON.stringify(options)}`);
+
+  const registry = selectRegistryEntries(loadRegistry(options.registry), options.only);
+  const partial = options.only.length > 0;
+
+  const libraryPath = join(options.out, LIBRARY_FILES[options.format]);
+  const hoursPath = join(options.out, 'hours.json');
+  const metaPath = join(options.out, 'hours-meta.json');
+
+  const parseLibraries = options.format === 'json' ? JSON.parse : parseCSV;
+  const previousRows = readPrevious(libraryPath, parseLibraries, []);
+  debug(`Previous run: ${previousRows.length} libraries in ${libraryPath}`);
+
+  const result = await runPipeline({
+    source: createSource(options),
+    registry,
+    weeks: options.weeks,
+    maxLibrariesWithoutHours: MAX_LIBRARIES_WITHOUT_HOURS,
+    // Partial runs only report changes to the selected libraries
+    previousRows: partial ? previousRows.filter(row => registry[row.Id]) : previousRows,
+    log: console.log,
+    warn: console.warn,
+    debug,
+  });
+
+  console.log(result.report);
+  // Show the same report on the GitHub Actions run page
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    appendFileSync(process.env.GITHUB_STEP_SUMMARY, `\`\`\`\n${result.report}\n\`\`\`\n`);
   }
-}
-
-async function main() {
-  console.log('Fetching library metadata from Drupal...');
-  const drupalLibraries = await fetchDrupalLibraries();
-
-  console.log('Fetching hours from LibCal...');
-  const libcalData = await fetchLibCalHours();
 
-  // Build a map of LibCal lid → hours data
-  const hoursByLid = {};
-  for (const loc of libcalData.locations) {
-    hoursByLid[String(loc.lid)] = loc;
+  if (options.dryRun) {
+    console.log('Dry run: nothing written');
+    return;
   }
 
-  // Build CSV rows from Drupal libraries that match our tracked aliases
-  const rows = [];
-
-  for (const node of drupalLibraries) {
-    const attrs = node.attributes;
-    const alias = attrs.path?.alias?.replace('/libraries/', '') || '';
+  // Partial runs splice the selected libraries into the previous output
+  const rows = partial ? mergeRows(previousRows, result.rows) : result.rows;
+  const hours = partial ? mergeHours(readPrevious(hoursPath, JSON.parse, {}), result.hours) : result.hours;
 
-    if (!TRACKED_ALIASES.has(alias)) continue;
+  mkdirSync(options.out, { recursive: true });
 
-    const lid = String(attrs.field_library_id || '');
-    const hoursData = hoursByLid[lid];
-    const week = hoursData?.weeks?.[0];
+  // Library list holds the current week only, kept for backward compatibility
+  const libraryContent = options.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : buildCsv(rows);
+  writeFileSync(libraryPath, libraryContent);
+  console.log(`Wrote ${rows.length} libraries to ${libraryPath}`);
 
-    const row = {
-      Id: alias,
-      Name: (attrs.title || '').trim(),
-      Description: (attrs.field_subtitle || '').trim(),
-      Address: formatAddress(attrs.field_address),
-    };
+  writeFileSync(hoursPath, JSON.stringify(hours, null, 2) + '\n');
+  console.log(`Wrote ${options.weeks} weeks of hours to ${hoursPath}`);
 
-    for (const day of DAYS) {
-      row[day] = week ? formatDayHours(week[day]) : '';
-    }
-
-    rows.push(row);
+  // Record when and for which dates the data was fetched, so the app can flag stale hours.
+  // A partial run only refreshed some libraries, so it leaves the previous metadata alone.
+  if (partial) {
+    console.log(`Partial run: left ${metaPath} unchanged`);
+  } else {
+    writeFileSync(metaPath, JSON.stringify(result.metadata, null, 2) + '\n');
+    console.log(`Wrote metadata to ${metaPath} (week of ${result.metadata.weekStart}, hours through ${result.metadata.coverageEnd})`);
   }
+}
 
-  // Sort rows alphabetically by Name for consistent output
-  rows.sort((a, b) => a.Name.localeCompare(b.Name));
-
-  // Build CSV
-  const headers = ['Id', 'Name', 'Description', 'Address', ...DAYS];
-  const csvLines = [headers.map(h => csvField(h)).join(',')];
-
-  for (const row of rows) {
-    csvLines.push(headers.map(h => csvField(row[h])).join(','));
+main(process.argv.slice(2)).catch(err => {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(EXIT_CODES.usage);
   }
-
-  const csvContent = csvLines.join('\n') + '\n';
-  const csvPath = join(PUBLIC_DIR, 'libraries.csv');
-  writeFileSync(csvPath, csvContent);
-  console.log(`Wrote ${rows.length} libraries to ${csvPath}`);
-
-  // Migrate coords keys (one-time, idempotent)
-  migrateCoords();
-
-  // Summary
-  const missing = [...TRACKED_ALIASES].filter(a => !rows.find(r => r.Id === a));
-  if (missing.length > 0) {
-    console.warn(`Warning: ${missing.length} tracked libraries not found in Drupal API:`, missing);
+  if (err instanceof ValidationError) {
+    console.error(`Failed to update hours: ${err.message}`);
+    process.exit(EXIT_CODES.invalid);
   }
-}
-
-main().catch(err => {
   console.error('Failed to update hours:', err);
-  process.exit(1);
+  process.exit(EXIT_CODES.failure);
 });
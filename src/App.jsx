@@ -1,9 +1,15 @@
 import { useEffect, useRef, useCallback, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
 import mapboxgl from "mapbox-gl";
 import 'mapbox-gl/dist/mapbox-gl.css';
 import './App.css';
 import Sidebar from './components/Sidebar.jsx';
 import LibraryInfoBox from './components/LibraryInfoBox.jsx';
+import OfflineBanner from './components/OfflineBanner.jsx';
+import { getLibraryStatus, CLOSING_SOON_MINUTES } from './components/libraryUtils';
+import { useLibraries, useLibrary, getDirectionsTarget } from './components/libraryData';
+import { createRouterFromEnv } from './components/routing';
+import { loadPreference, savePreference } from './components/preferences';
 
 const INITIAL_VIEW = {
   center: [-71.11647, 42.37432],
@@ -12,12 +18,145 @@ const INITIAL_VIEW = {
   pitch: 60
 };
 
+// Mapbox walking directions, or a stand-in chosen through env variables (see routing.js)
+const walkingRouter = createRouterFromEnv(import.meta.env);
+
+// status: 'idle' | 'locating' | 'picking' | 'routing' | 'ready' | 'error'
+const NO_DIRECTIONS = { libraryId: null, status: 'idle', from: null, route: null, error: null };
+
+const CLOSING_SOON_STORAGE_KEY = 'harvard-libraries:closingSoonMinutes';
+
+/**
+ * Reads the saved "closing soon" threshold from localStorage
+ * @returns {number} Threshold in minutes, or the default
+ */
+function loadClosingSoonPreference() {
+  return loadPreference(CLOSING_SOON_STORAGE_KEY, CLOSING_SOON_MINUTES, (saved) => {
+    const minutes = parseInt(saved, 10);
+    return minutes > 0 ? minutes : null;
+  });
+}
+
+const STATUS_COLORS = {
+  open: '#22c55e',
+  closing: '#eab308',
+  closed: '#ef4444',
+};
+
+/**
+ * Builds a GeoJSON point collection of libraries with their current status
+ * @param {Array<Object>} libraries - Merged library records
+ * @param {Date} currentTime - Time used for status
+ * @param {Object} statusOptions - Options passed to getLibraryStatus
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildLibraryFeatures(libraries, currentTime, statusOptions) {
+  return {
+    type: 'FeatureCollection',
+    features: libraries
+      .filter(lib => lib.coords)
+      .map(lib => ({
+        type: 'Feature',
+        properties: {
+          id: lib.Id,
+          name: lib.Name,
+          status: getLibraryStatus(lib, currentTime, statusOptions),
+        },
+        geometry: {
+          type: 'Point',
+          coordinates: [lib.coords.lng, lib.coords.lat],
+        },
+      })),
+  };
+}
+
+/**
+ * Builds the GeoJSON shown for the selected library: its footprint and entrances
+ * @param {Object | null} library - Selected library record
+ * @returns {Object} GeoJSON FeatureCollection (empty when nothing is selected)
+ */
+function buildSelectedLibraryFeatures(library) {
+  const features = [];
+  if (library?.footprint) {
+    const ring = library.footprint.map(point => [point.lng, point.lat]);
+    features.push({
+      type: 'Feature',
+      properties: { kind: 'footprint' },
+      geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+    });
+  }
+  for (const entrance of library?.entrances ?? []) {
+    features.push({
+      type: 'Feature',
+      properties: { kind: 'entrance', name: entrance.name, accessible: entrance.accessible },
+      geometry: { type: 'Point', coordinates: [entrance.lng, entrance.lat] },
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Builds the GeoJSON for a walking route: the path and its starting point
+ * @param {{from: Object | null, route: Object | null}} directions - Current directions
+ * @returns {Object} GeoJSON FeatureCollection (empty without directions)
+ */
+function buildRouteFeatures({ from, route }) {
+  const features = [];
+  if (route) {
+    features.push({
+      type: 'Feature',
+      properties: { kind: 'route' },
+      geometry: { type: 'LineString', coordinates: route.coordinates },
+    });
+  }
+  if (from) {
+    features.push({
+      type: 'Feature',
+      properties: { kind: 'start' },
+      geometry: { type: 'Point', coordinates: [from.lng, from.lat] },
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
 export default function Map() {
   const mapContainer = useRef(null);
   const map = useRef(null);
-  const [selectedLibrary, setSelectedLibrary] = useState(null);
+  const { id: selectedId } = useParams();
+  const navigate = useNavigate();
+  const { libraries } = useLibraries();
+  const { library: selectedLibrary, loading: librariesLoading } = useLibrary(selectedId);
+  const [currentTime, setCurrentTime] = useState(new Date());
+  const [plannedTime, setPlannedTime] = useState(null);
+  const [closingSoonMinutes, setClosingSoonMinutes] = useState(loadClosingSoonPreference);
+  const [mapLoaded, setMapLoaded] = useState(false);
+  const [mapUnavailable, setMapUnavailable] = useState(false);
+  const [hoveredLibraryId, setHoveredLibraryId] = useState(null);
+  const [directions, setDirections] = useState(NO_DIRECTIONS);
+  const markerClickRef = useRef(null);
+  const mapClickRef = useRef(null);
+  const directionsRequestRef = useRef(0);
+  const hoveredFeatureRef = useRef(null);
 
-  const handleLibraryClick = useCallback((library, lat, lng) => {
+  // Update time every minute so marker colors stay current
+  useEffect(() => {
+    const intervalID = setInterval(() => {
+      setCurrentTime(new Date());
+    }, 60000);
+
+    return () => clearInterval(intervalID);
+  }, []);
+
+  // Persist "closing soon" threshold across reloads
+  useEffect(() => {
+    savePreference(CLOSING_SOON_STORAGE_KEY, closingSoonMinutes);
+  }, [closingSoonMinutes]);
+
+  // Selected library comes from the /library/:id route
+  const selectedCoords = selectedLibrary?.coords ?? null;
+  const notFoundId = selectedId && !librariesLoading && !selectedLibrary ? selectedId : null;
+
+  const flyToLibrary = useCallback((lat, lng) => {
     if (map.current) {
       map.current.flyTo({
         center: [lng, lat],
@@ -26,10 +165,17 @@ export default function Map() {
         bearing: 135,
         duration: 1000
       });
-      setSelectedLibrary(library);
     }
   }, []);
 
+  const handleLibraryClick = useCallback((library, lat, lng) => {
+    if (library.Id === selectedId) {
+      flyToLibrary(lat, lng);
+    } else {
+      navigate(`/library/${encodeURIComponent(library.Id)}`);
+    }
+  }, [selectedId, navigate, flyToLibrary]);
+
   const resetMapView = useCallback(() => {
     if (map.current) {
       map.current.flyTo({
@@ -40,9 +186,134 @@ export default function Map() {
   }, []);
 
   const handleCloseInfoBox = useCallback(() => {
-    setSelectedLibrary(null);
-    resetMapView();
-  }, [resetMapView]);
+    navigate('/');
+  }, [navigate]);
+
+  // Directions belong to the library they were asked for, so selecting another one hides them
+  const activeDirections = directions.libraryId === selectedId ? directions : NO_DIRECTIONS;
+  const pickingStart = activeDirections.status === 'picking';
+
+  // Each directions request gets an id so late answers to replaced requests are dropped
+  const startDirections = useCallback((fields) => {
+    setDirections({ ...NO_DIRECTIONS, ...fields });
+    return ++directionsRequestRef.current;
+  }, []);
+
+  const updateDirections = useCallback((requestId, fields) => {
+    if (requestId === directionsRequestRef.current) {
+      setDirections(current => ({ ...current, ...fields }));
+    }
+  }, []);
+
+  const routeFrom = useCallback(async (library, from) => {
+    const requestId = startDirections({ libraryId: library.Id, status: 'routing', from });
+    try {
+      const route = await walkingRouter.getRoute(from, getDirectionsTarget(library));
+      updateDirections(requestId, { status: 'ready', route });
+    } catch (err) {
+      console.error('Directions unavailable:', err);
+      updateDirections(requestId, { status: 'error', error: err.message });
+    }
+  }, [startDirections, updateDirections]);
+
+  const handleWalkFromLocation = useCallback(() => {
+    const library = selectedLibrary;
+    const requestId = startDirections({ libraryId: library.Id, status: 'locating' });
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        if (requestId !== directionsRequestRef.current) return;
+        routeFrom(library, { lat: position.coords.latitude, lng: position.coords.longitude });
+      },
+      (err) => {
+        console.warn('Geolocation unavailable:', err.message);
+        updateDirections(requestId, { status: 'error', error: "Couldn't find your location" });
+      },
+      { maximumAge: 60000, timeout: 15000 }
+    );
+  }, [selectedLibrary, startDirections, updateDirections, routeFrom]);
+
+  const handlePickStart = useCallback(() => {
+    startDirections({ libraryId: selectedLibrary.Id, status: 'picking' });
+  }, [selectedLibrary, startDirections]);
+
+  const handleClearDirections = useCallback(() => {
+    startDirections({});
+  }, [startDirections]);
+
+  // Fly to the routed library, or back to the overview when the route is cleared
+  useEffect(() => {
+    if (!mapLoaded) return;
+    if (selectedCoords) {
+      flyToLibrary(selectedCoords.lat, selectedCoords.lng);
+    } else if (!selectedId) {
+      resetMapView();
+    }
+  }, [mapLoaded, selectedId, selectedCoords, flyToLibrary, resetMapView]);
+
+  // Marker clicks resolve the library from the latest loaded data; while picking a start they're just map clicks
+  useEffect(() => {
+    if (pickingStart) {
+      markerClickRef.current = null;
+      return;
+    }
+    markerClickRef.current = (id) => {
+      const library = libraries.find(lib => lib.Id === id);
+      if (library?.coords) {
+        handleLibraryClick(library, library.coords.lat, library.coords.lng);
+      }
+    };
+  }, [libraries, handleLibraryClick, pickingStart]);
+
+  // While picking a start, the next map click routes from there
+  useEffect(() => {
+    mapClickRef.current = pickingStart
+      ? (point) => routeFrom(selectedLibrary, point)
+      : null;
+  }, [pickingStart, selectedLibrary, routeFrom]);
+
+  // Keep marker data and status colors in sync (with the planned time, if any)
+  const viewTime = plannedTime ?? currentTime;
+  useEffect(() => {
+    if (!mapLoaded) return;
+    map.current.getSource('libraries')?.setData(
+      buildLibraryFeatures(libraries, viewTime, { closingSoonMinutes })
+    );
+  }, [mapLoaded, libraries, viewTime, closingSoonMinutes]);
+
+  // Outline the selected library's building and mark its entrances
+  useEffect(() => {
+    if (!mapLoaded) return;
+    map.current.getSource('selected-library')?.setData(buildSelectedLibraryFeatures(selectedLibrary));
+  }, [mapLoaded, selectedLibrary]);
+
+  // Draw the walking route and its start
+  useEffect(() => {
+    if (!mapLoaded) return;
+    map.current.getSource('route')?.setData(buildRouteFeatures(activeDirections));
+  }, [mapLoaded, activeDirections]);
+
+  // Frame a new route
+  const route = activeDirections.route;
+  useEffect(() => {
+    if (!mapLoaded || !route) return;
+    const bounds = route.coordinates.reduce(
+      (result, coordinate) => result.extend(coordinate),
+      new mapboxgl.LngLatBounds(route.coordinates[0], route.coordinates[0])
+    );
+    map.current.fitBounds(bounds, { padding: 120, maxZoom: 18, pitch: 45, bearing: 135, duration: 1000 });
+  }, [mapLoaded, route]);
+
+  // Highlight the hovered library's marker
+  useEffect(() => {
+    if (!mapLoaded) return;
+    if (hoveredFeatureRef.current) {
+      map.current.setFeatureState({ source: 'libraries', id: hoveredFeatureRef.current }, { hover: false });
+    }
+    if (hoveredLibraryId) {
+      map.current.setFeatureState({ source: 'libraries', id: hoveredLibraryId }, { hover: true });
+    }
+    hoveredFeatureRef.current = hoveredLibraryId;
+  }, [mapLoaded, hoveredLibraryId, libraries]);
 
   useEffect(() => {
     mapboxgl.accessToken = import.meta.env.VITE_MAPBOX_TOKEN;
@@ -67,12 +338,153 @@ export default function Map() {
       compact: true
     }));
 
+    // Fall back to the list when the style or tiles can't be fetched (e.g. offline)
+    let styleLoaded = false;
+    map.current.on('error', (e) => {
+      if (!styleLoaded || !navigator.onLine) {
+        console.error('Map unavailable:', e.error);
+        setMapUnavailable(true);
+      }
+    });
 
 
     map.current.on('load', () => {
+      styleLoaded = true;
       // Create the Tile3DLayer for the ESRI 3D buildings
       map.current.setFilter('poi-label', ['=', 'category_en', 'Library']) 
 
+      // Tracked libraries, colored by open/closing/closed status
+      map.current.addSource('libraries', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] },
+        promoteId: 'id'
+      });
+
+      map.current.addLayer({
+        id: 'library-markers',
+        type: 'circle',
+        source: 'libraries',
+        slot: 'top',
+        paint: {
+          'circle-radius': ['case', ['boolean', ['feature-state', 'hover'], false], 9, 6],
+          'circle-color': [
+            'match', ['get', 'status'],
+            'open', STATUS_COLORS.open,
+            'closing', STATUS_COLORS.closing,
+            STATUS_COLORS.closed
+          ],
+          'circle-stroke-color': '#ffffff',
+          'circle-stroke-width': ['case', ['boolean', ['feature-state', 'hover'], false], 2, 1],
+          'circle-emissive-strength': 1
+        }
+      });
+
+      // Selected library's footprint and entrances
+      map.current.addSource('selected-library', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      });
+
+      map.current.addLayer({
+        id: 'selected-footprint-fill',
+        type: 'fill',
+        source: 'selected-library',
+        slot: 'middle',
+        filter: ['==', ['get', 'kind'], 'footprint'],
+        paint: {
+          'fill-color': '#60a5fa',
+          'fill-opacity': 0.25,
+          'fill-emissive-strength': 1
+        }
+      });
+
+      map.current.addLayer({
+        id: 'selected-footprint-outline',
+        type: 'line',
+        source: 'selected-library',
+        slot: 'middle',
+        filter: ['==', ['get', 'kind'], 'footprint'],
+        paint: {
+          'line-color': '#60a5fa',
+          'line-width': 2,
+          'line-emissive-strength': 1
+        }
+      });
+
+      map.current.addLayer({
+        id: 'selected-entrances',
+        type: 'circle',
+        source: 'selected-library',
+        slot: 'top',
+        filter: ['==', ['get', 'kind'], 'entrance'],
+        paint: {
+          'circle-radius': 4,
+          'circle-color': ['case', ['get', 'accessible'], '#60a5fa', '#ffffff'],
+          'circle-stroke-color': '#1a1a1a',
+          'circle-stroke-width': 1,
+          'circle-emissive-strength': 1
+        }
+      });
+
+      // Walking route to the selected library
+      map.current.addSource('route', {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      });
+
+      map.current.addLayer({
+        id: 'route-line',
+        type: 'line',
+        source: 'route',
+        slot: 'middle',
+        filter: ['==', ['get', 'kind'], 'route'],
+        layout: {
+          'line-cap': 'round',
+          'line-join': 'round'
+        },
+        paint: {
+          'line-color': '#60a5fa',
+          'line-width': 4,
+          'line-emissive-strength': 1
+        }
+      });
+
+      map.current.addLayer({
+        id: 'route-start',
+        type: 'circle',
+        source: 'route',
+        slot: 'top',
+        filter: ['==', ['get', 'kind'], 'start'],
+        paint: {
+          'circle-radius': 5,
+          'circle-color': '#ffffff',
+          'circle-stroke-color': '#60a5fa',
+          'circle-stroke-width': 2,
+          'circle-emissive-strength': 1
+        }
+      });
+
+      map.current.on('click', (e) => {
+        mapClickRef.current?.({ lat: e.lngLat.lat, lng: e.lngLat.lng });
+      });
+
+      map.current.on('click', 'library-markers', (e) => {
+        const id = e.features[0]?.properties.id;
+        if (id) markerClickRef.current?.(id);
+      });
+
+      map.current.on('mousemove', 'library-markers', (e) => {
+        map.current.getCanvas().style.cursor = 'pointer';
+        setHoveredLibraryId(e.features[0]?.properties.id ?? null);
+      });
+
+      map.current.on('mouseleave', 'library-markers', () => {
+        map.current.getCanvas().style.cursor = '';
+        setHoveredLibraryId(null);
+      });
+
+      setMapLoaded(true);
+
       // // add a geojson source with a polygon to be used in the clip layer.
       // map.current.addSource('eraser', {
       //   type: 'geojson',
@@ -170,18 +582,38 @@ export default function Map() {
 
 
 
-    return () => map.current.remove();
+    return () => {
+      setMapLoaded(false);
+      setMapUnavailable(false);
+      map.current.remove();
+    };
   }, []);
 
   return (
-    <div className="container">
-      <Sidebar onLibraryClick={handleLibraryClick} />
+    <div className={`container ${mapUnavailable ? 'map-unavailable' : ''}`}>
+      <OfflineBanner mapUnavailable={mapUnavailable} />
+      <Sidebar
+        onLibraryClick={handleLibraryClick}
+        hoveredLibraryId={hoveredLibraryId}
+        onLibraryHover={setHoveredLibraryId}
+        plannedTime={plannedTime}
+        onPlannedTimeChange={setPlannedTime}
+        closingSoonMinutes={closingSoonMinutes}
+        onClosingSoonMinutesChange={setClosingSoonMinutes}
+      />
       <div
         ref={mapContainer}
-        className="map-container"
+        className={`map-container ${pickingStart ? 'picking-start' : ''}`}
       >
         <LibraryInfoBox
           library={selectedLibrary}
+          notFoundId={notFoundId}
+          plannedTime={plannedTime}
+          closingSoonMinutes={closingSoonMinutes}
+          directions={activeDirections}
+          onWalkFromLocation={handleWalkFromLocation}
+          onPickStart={handlePickStart}
+          onClearDirections={handleClearDirections}
           onClose={handleCloseInfoBox}
         />
       </div>
@@ -1,44 +1,118 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useRef, useState, useMemo, useReducer, useCallback } from "react";
+import { useBlocker } from "react-router-dom";
 import mapboxgl from "mapbox-gl";
 import 'mapbox-gl/dist/mapbox-gl.css';
+import { useLibraries } from './libraryData';
+import { applyRegistryUpdate } from './registry';
+import {
+  INITIAL_EDITOR_STATE,
+  editorReducer,
+  hasChanges,
+  getEditedCoords,
+  getEditedShape,
+  nextEntranceName,
+  buildEditorRows,
+} from './coordsEditing';
+import CoordsPanel from './CoordsPanel';
+
+const UNSAVED_WARNING = 'You have unsaved coordinate changes. Leave anyway?';
+
+const buttonStyle = { padding: '5px 15px', cursor: 'pointer' };
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Builds the footprint outline shown on the editor map
+ * @param {Array<{lat: number, lng: number}>} points - Footprint corners (or a draft's corners so far)
+ * @returns {Object} GeoJSON FeatureCollection: a polygon from three corners, a line before that
+ */
+function buildFootprintFeatures(points) {
+  if (!points || points.length < 2) return EMPTY_COLLECTION;
+  const ring = points.map(point => [point.lng, point.lat]);
+  const geometry = ring.length >= 3
+    ? { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+    : { type: 'LineString', coordinates: ring };
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry }] };
+}
+
+/**
+ * Creates a small marker element for entrances and footprint corners
+ * @param {Object} style - Size, color and shape
+ * @returns {HTMLElement} Marker element
+ */
+function createHandle({ size, color, round }) {
+  const el = document.createElement('div');
+  el.style.cssText = `
+    width: ${size}px;
+    height: ${size}px;
+    background: ${color};
+    border: 1px solid #1a1a1a;
+    border-radius: ${round ? '50%' : '2px'};
+    cursor: grab;
+  `;
+  return el;
+}
+
+/**
+ * Hint shown in the toolbar for the current map click mode
+ * @param {Object | null} mode - Current mode
+ * @param {string} name - Name of the library the mode applies to
+ * @returns {string} Instructions
+ */
+function describeMode(mode, name) {
+  switch (mode?.type) {
+    case 'place': return `Click the map to place ${name}`;
+    case 'entrance': return `Click the map to add an entrance to ${name}`;
+    case 'footprint': return `Click the map to add corners to ${name}'s footprint (${mode.points.length} so far)`;
+    default: return 'Drag markers to adjust positions';
+  }
+}
 
 export default function CoordsEditor() {
   const mapContainer = useRef(null);
   const map = useRef(null);
   const markersRef = useRef({});
-  const [coords, setCoords] = useState({});
-  const [originalCoords, setOriginalCoords] = useState({});
-  const [libraries, setLibraries] = useState({});
+  const handlesRef = useRef([]);
+  const { libraries: libraryRecords, registry, reload } = useLibraries();
+  // Unsaved moves and removals layered over the saved registry, with undo/redo history
+  const [history, dispatch] = useReducer(editorReducer, INITIAL_EDITOR_STATE);
+  const changes = history.present;
+  const dirty = hasChanges(changes);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState('');
+  // ETag of the registry file these edits are based on, so saving over someone else's changes fails
+  const [version, setVersion] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  // What a map click does: null, or { type: 'place' | 'entrance' | 'footprint', id, campus, points }
+  // where campus is set when placing a library that's not in the registry yet,
+  // and points are the corners of a footprint being drawn
+  const [mode, setMode] = useState(null);
+  const [mapLoaded, setMapLoaded] = useState(false);
+  // Latest state for the map's click handler, which is registered once
+  const latestRef = useRef({ mode: null, registry, changes });
+
+  const coords = useMemo(() => getEditedCoords(registry, changes), [registry, changes]);
+  const rows = useMemo(() => buildEditorRows(registry, libraryRecords, changes), [registry, libraryRecords, changes]);
+  const selectedShape = useMemo(
+    () => (selectedId ? getEditedShape(registry, changes, selectedId) : null),
+    [registry, changes, selectedId]
+  );
+
+  // Library names keyed by Id, for marker popups
+  const libraries = useMemo(() => (
+    Object.fromEntries(libraryRecords.map(lib => [lib.Id, lib.Name]))
+  ), [libraryRecords]);
 
-  // Load coordinates on mount
   useEffect(() => {
-    fetch('/library-coords.json')
-      .then(res => res.json())
-      .then(data => {
-        setCoords(data);
-        setOriginalCoords(JSON.parse(JSON.stringify(data)));
-      })
-      .catch(err => console.error('Failed to load coords:', err));
-  }, []);
+    latestRef.current = { mode, registry, changes };
+    if (map.current) map.current.getCanvas().style.cursor = mode ? 'crosshair' : '';
+  }, [mode, registry, changes]);
 
-  // Load library names from CSV
+  // Remember which version of the registry file is being edited (dev server only)
   useEffect(() => {
-    fetch('/libraries.csv')
-      .then(res => res.text())
-      .then(text => {
-        const lines = text.trim().split('\n');
-        const libMap = {};
-        for (let i = 1; i < lines.length; i++) {
-          const match = lines[i].match(/^"([^"]+)","([^"]+)"/);
-          if (match) {
-            libMap[match[1]] = match[2];
-          }
-        }
-        setLibraries(libMap);
-      })
-      .catch(err => console.error('Failed to load libraries:', err));
+    fetch('/api/save-coords')
+      .then(response => { if (response.ok) setVersion(response.headers.get('ETag')); })
+      .catch(() => {});
   }, []);
 
   // Initialize map
@@ -60,11 +134,53 @@ export default function CoordsEditor() {
       pitch: 0,
       bearing: 0
     });
+
+    map.current.on('load', () => {
+      map.current.addSource('footprint', { type: 'geojson', data: EMPTY_COLLECTION });
+      map.current.addLayer({
+        id: 'footprint-fill',
+        type: 'fill',
+        source: 'footprint',
+        slot: 'middle',
+        paint: { 'fill-color': '#f59e0b', 'fill-opacity': 0.2, 'fill-emissive-strength': 1 }
+      });
+      map.current.addLayer({
+        id: 'footprint-outline',
+        type: 'line',
+        source: 'footprint',
+        slot: 'middle',
+        paint: { 'line-color': '#f59e0b', 'line-width': 2, 'line-emissive-strength': 1 }
+      });
+      setMapLoaded(true);
+    });
+
+    // Place a library, add an entrance or add a footprint corner where the map is clicked
+    map.current.on('click', (e) => {
+      const { mode: current, registry: latestRegistry, changes: latestChanges } = latestRef.current;
+      if (!current) return;
+      const point = { lat: e.lngLat.lat, lng: e.lngLat.lng };
+
+      if (current.type === 'place') {
+        // A library that's only in libraries.csv gets a registry entry where it's placed
+        dispatch(current.campus
+          ? { type: 'add', id: current.id, campus: current.campus, coords: point }
+          : { type: 'move', id: current.id, coords: point });
+        setMode(null);
+        setSelectedId(current.id);
+      } else if (current.type === 'entrance') {
+        const { entrances } = getEditedShape(latestRegistry, latestChanges, current.id);
+        const entrance = { name: nextEntranceName(entrances), ...point, accessible: false };
+        dispatch({ type: 'setEntrances', id: current.id, entrances: [...entrances, entrance] });
+        setMode(null);
+      } else if (current.type === 'footprint') {
+        setMode({ ...current, points: [...current.points, point] });
+      }
+    });
   }, []);
 
   // Add/update markers when coords or libraries change
   useEffect(() => {
-    if (!map.current || Object.keys(coords).length === 0) return;
+    if (!map.current) return;
 
     // Clear existing markers
     Object.values(markersRef.current).forEach(m => m.remove());
@@ -76,7 +192,7 @@ export default function CoordsEditor() {
       el.style.cssText = `
         width: 12px;
         height: 12px;
-        background: #3b82f6;
+        background: ${changes.coords[id] ? '#f59e0b' : '#3b82f6'};
         border: 2px solid white;
         border-radius: 50%;
         cursor: grab;
@@ -93,51 +209,166 @@ export default function CoordsEditor() {
 
       el.addEventListener('click', () => {
         marker.togglePopup();
+        setSelectedId(id);
       });
 
       marker.on('dragend', () => {
         const lngLat = marker.getLngLat();
-        setCoords(prev => ({
-          ...prev,
-          [id]: { lat: lngLat.lat, lng: lngLat.lng }
-        }));
+        dispatch({ type: 'move', id, coords: { lat: lngLat.lat, lng: lngLat.lng } });
+        setSelectedId(id);
       });
 
       markersRef.current[id] = marker;
     });
-  }, [coords, libraries]);
+  }, [coords, changes, libraries]);
+
+  // Ring the marker of the library selected in the panel or on the map
+  useEffect(() => {
+    Object.entries(markersRef.current).forEach(([id, marker]) => {
+      marker.getElement().style.boxShadow = id === selectedId ? '0 0 0 4px rgba(255, 255, 255, 0.5)' : 'none';
+    });
+  }, [selectedId, coords]);
+
+  // Draggable entrances and footprint corners for the selected library
+  useEffect(() => {
+    if (!map.current) return;
+    handlesRef.current.forEach(handle => handle.remove());
+    handlesRef.current = [];
+
+    const drawing = mode?.type === 'footprint' && mode.id === selectedId;
+    if (!selectedShape || drawing) return;
+    const { entrances, footprint } = selectedShape;
+
+    entrances.forEach((entrance, i) => {
+      const el = createHandle({ size: 10, color: entrance.accessible ? '#60a5fa' : '#ffffff' });
+      const marker = new mapboxgl.Marker({ element: el, draggable: true })
+        .setLngLat([entrance.lng, entrance.lat])
+        .setPopup(new mapboxgl.Popup({ offset: 8, closeButton: false }).setText(entrance.name))
+        .addTo(map.current);
+      el.addEventListener('click', () => marker.togglePopup());
+      marker.on('dragend', () => {
+        const { lat, lng } = marker.getLngLat();
+        const moved = entrances.map((other, j) => (j === i ? { ...other, lat, lng } : other));
+        dispatch({ type: 'setEntrances', id: selectedId, entrances: moved });
+      });
+      handlesRef.current.push(marker);
+    });
+
+    (footprint ?? []).forEach((corner, i) => {
+      const marker = new mapboxgl.Marker({ element: createHandle({ size: 8, color: '#f59e0b', round: true }), draggable: true })
+        .setLngLat([corner.lng, corner.lat])
+        .addTo(map.current);
+      marker.on('dragend', () => {
+        const { lat, lng } = marker.getLngLat();
+        const moved = footprint.map((other, j) => (j === i ? { lat, lng } : other));
+        dispatch({ type: 'setFootprint', id: selectedId, footprint: moved });
+      });
+      handlesRef.current.push(marker);
+    });
+  }, [selectedId, selectedShape, mode]);
+
+  // Outline the selected library's footprint, or the one being drawn
+  useEffect(() => {
+    if (!mapLoaded) return;
+    const points = mode?.type === 'footprint' ? mode.points : selectedShape?.footprint;
+    map.current.getSource('footprint')?.setData(buildFootprintFeatures(points));
+  }, [mapLoaded, mode, selectedShape]);
+
+  // Undo with Ctrl/Cmd+Z, redo with Ctrl/Cmd+Shift+Z or Ctrl+Y, cancel a map click mode with Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setMode(null);
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        dispatch({ type: e.shiftKey ? 'redo' : 'undo' });
+      } else if (key === 'y') {
+        e.preventDefault();
+        dispatch({ type: 'redo' });
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Guard unsaved changes: in-app navigation asks first, closing or reloading the tab gets the browser prompt
+  const blocker = useBlocker(dirty);
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+    if (window.confirm(UNSAVED_WARNING)) blocker.proceed();
+    else blocker.reset();
+  }, [blocker]);
+
+  useEffect(() => {
+    if (!dirty) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = UNSAVED_WARNING;
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  const focusLibrary = useCallback((id) => {
+    setSelectedId(id);
+    setMode(current => (current?.id === id ? current : null));
+    const target = coords[id];
+    if (!map.current || !target) return;
+    map.current.flyTo({ center: [target.lng, target.lat], zoom: 17 });
+    const marker = markersRef.current[id];
+    if (marker && !marker.getPopup().isOpen()) marker.togglePopup();
+  }, [coords]);
 
   const handleSave = async () => {
+    if (!dirty) {
+      setMessage('Nothing to save');
+      return;
+    }
+    // The dev server only accepts saves made against a known version of the file
+    if (!version) {
+      setMessage("Can't save - registry version unknown (is the dev server running?); reload or use Copy JSON");
+      return;
+    }
     setSaving(true);
     setMessage('');
     try {
+      // Only changed libraries are sent, so untouched coordinates keep their source
       const response = await fetch('/api/save-coords', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(coords)
+        headers: { 'Content-Type': 'application/json', 'If-Match': version },
+        body: JSON.stringify(changes)
       });
       if (response.ok) {
-        setOriginalCoords(JSON.parse(JSON.stringify(coords)));
+        setVersion(response.headers.get('ETag'));
+        await reload();
+        dispatch({ type: 'saved' });
         setMessage('Saved!');
       } else {
-        setMessage('Save failed - check console');
+        const { error, details } = await response.json().catch(() => ({}));
+        console.error('Save rejected:', response.status, error, details);
+        setMessage(`Save failed - ${error || response.status}`);
       }
     } catch (err) {
       console.error('Save error:', err);
       setMessage('Save failed - copy from console');
-      console.log('Updated coords JSON:');
-      console.log(JSON.stringify(coords, null, 2));
+      console.log('Updated library-registry.json:');
+      console.log(JSON.stringify(applyRegistryUpdate(registry, changes), null, 2));
     }
     setSaving(false);
   };
 
   const handleReset = () => {
-    setCoords(JSON.parse(JSON.stringify(originalCoords)));
-    setMessage('Reset to original positions');
+    dispatch({ type: 'reset' });
+    setMode(null);
+    setMessage('Reset to saved positions (undo to get your changes back)');
   };
 
   const handleCopyJSON = () => {
-    navigator.clipboard.writeText(JSON.stringify(coords, null, 2));
+    navigator.clipboard.writeText(JSON.stringify(applyRegistryUpdate(registry, changes), null, 2));
     setMessage('Copied to clipboard!');
   };
 
@@ -155,29 +386,63 @@ export default function CoordsEditor() {
         <span>Coords Editor</span>
         <button
           onClick={handleSave}
-          disabled={saving}
-          style={{ padding: '5px 15px', cursor: 'pointer' }}
+          disabled={saving || !dirty}
+          style={buttonStyle}
         >
           {saving ? 'Saving...' : 'Save'}
         </button>
+        <button
+          onClick={() => dispatch({ type: 'undo' })}
+          disabled={history.past.length === 0}
+          title="Undo (Ctrl+Z)"
+          style={buttonStyle}
+        >
+          Undo
+        </button>
+        <button
+          onClick={() => dispatch({ type: 'redo' })}
+          disabled={history.future.length === 0}
+          title="Redo (Ctrl+Shift+Z)"
+          style={buttonStyle}
+        >
+          Redo
+        </button>
         <button
           onClick={handleReset}
-          style={{ padding: '5px 15px', cursor: 'pointer' }}
+          disabled={!dirty}
+          style={buttonStyle}
         >
           Reset
         </button>
         <button
           onClick={handleCopyJSON}
-          style={{ padding: '5px 15px', cursor: 'pointer' }}
+          style={buttonStyle}
         >
           Copy JSON
         </button>
-        {message && <span style={{ color: '#4ade80' }}>{message}</span>}
+        {message && <span style={{ color: message.startsWith('Save failed') ? '#f87171' : '#4ade80' }}>{message}</span>}
         <span style={{ marginLeft: 'auto', color: '#888', fontSize: '12px' }}>
-          Drag markers to adjust positions
+          {describeMode(mode, mode && (libraries[mode.id] || mode.id))}
         </span>
       </div>
-      <div ref={mapContainer} style={{ flex: 1 }} />
+      <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+        <div ref={mapContainer} style={{ flex: 1 }} />
+        <CoordsPanel
+          rows={rows}
+          selectedId={selectedId}
+          selectedShape={selectedShape}
+          mode={mode}
+          onFocus={focusLibrary}
+          onModeChange={setMode}
+          onEntrancesChange={entrances => dispatch({ type: 'setEntrances', id: selectedId, entrances })}
+          onFootprintChange={footprint => {
+            dispatch({ type: 'setFootprint', id: selectedId, footprint });
+            setMode(null);
+          }}
+          onRemove={id => dispatch({ type: 'remove', id })}
+          onRestore={id => dispatch({ type: 'restore', id })}
+        />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { formatMovedDistance } from './coordsEditing';
+import { CAMPUSES } from './registry';
+
+const STATUS_LABELS = {
+  missing: 'No coordinates',
+  orphan: 'Not in libraries.csv',
+  unregistered: 'Not in the registry',
+};
+
+// Campus preselected for a library that's added to the registry
+const DEFAULT_CAMPUS = 'cambridge';
+
+const buttonStyle = { padding: '2px 8px', cursor: 'pointer', fontFamily: 'inherit', fontSize: '11px' };
+
+/**
+ * Formats coordinates for the panel
+ * @param {{lat: number, lng: number} | null} coords - Coordinates, or null
+ * @returns {string} e.g. "42.37280, -71.11510", or "—"
+ */
+function formatCoords(coords) {
+  return coords ? `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}` : '—';
+}
+
+/**
+ * Entrance and footprint controls for the selected library
+ * @param {Object} props
+ * @param {string} props.id - Library alias
+ * @param {{entrances: Array<Object>, footprint: Array<Object> | null}} props.shape - Current shape
+ * @param {Object | null} props.mode - Current map click mode, if it's for this library
+ * @param {Function} props.onModeChange - Called with a new mode (or null to cancel)
+ * @param {Function} props.onEntrancesChange - Called with the new entrance list
+ * @param {Function} props.onFootprintChange - Called with the new footprint, or null to clear it
+ */
+function ShapeEditor({ id, shape, mode, onModeChange, onEntrancesChange, onFootprintChange }) {
+  const { entrances, footprint } = shape;
+  const drawing = mode?.type === 'footprint';
+
+  const updateEntrance = (index, fields) => {
+    onEntrancesChange(entrances.map((entrance, i) => (i === index ? { ...entrance, ...fields } : entrance)));
+  };
+
+  // Names are committed on blur so typing doesn't fill the undo history
+  const renameEntrance = (index, name) => {
+    const trimmed = name.trim();
+    const taken = entrances.some((entrance, i) => i !== index && entrance.name === trimmed);
+    if (trimmed && !taken && trimmed !== entrances[index].name) updateEntrance(index, { name: trimmed });
+  };
+
+  return (
+    <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px dashed #333' }} onClick={e => e.stopPropagation()}>
+      <div style={{ color: '#888', marginBottom: '4px' }}>Entrances (the first is used for directions)</div>
+      {entrances.map((entrance, index) => (
+        <div key={`${index}-${entrance.name}`} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '4px' }}>
+          <input
+            defaultValue={entrance.name}
+            onBlur={e => renameEntrance(index, e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }}
+            style={{ flex: 1, fontFamily: 'inherit', fontSize: '11px' }}
+          />
+          <label style={{ display: 'flex', gap: '2px', alignItems: 'center' }}>
+            <input
+              type="checkbox"
+              checked={Boolean(entrance.accessible)}
+              onChange={e => updateEntrance(index, { accessible: e.target.checked })}
+            />
+            ♿
+          </label>
+          <button style={buttonStyle} onClick={() => onEntrancesChange(entrances.filter((_, i) => i !== index))}>✕</button>
+        </div>
+      ))}
+      <button
+        style={buttonStyle}
+        onClick={() => onModeChange(mode?.type === 'entrance' ? null : { type: 'entrance', id })}
+      >
+        {mode?.type === 'entrance' ? 'Cancel' : 'Add entrance'}
+      </button>
+
+      <div style={{ color: '#888', margin: '8px 0 4px' }}>
+        Footprint: {drawing ? `${mode.points.length} corners drawn` : footprint ? `${footprint.length} corners` : 'none'}
+      </div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {drawing ? (
+          <>
+            <button style={buttonStyle} disabled={mode.points.length < 3} onClick={() => onFootprintChange(mode.points)}>
+              Finish
+            </button>
+            <button style={buttonStyle} onClick={() => onModeChange(null)}>Cancel</button>
+          </>
+        ) : (
+          <>
+            <button style={buttonStyle} onClick={() => onModeChange({ type: 'footprint', id, points: [] })}>
+              {footprint ? 'Redraw' : 'Draw footprint'}
+            </button>
+            {footprint && <button style={buttonStyle} onClick={() => onFootprintChange(null)}>Clear</button>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Side panel of the coords editor: every library with its saved and edited position
+ * @param {Object} props
+ * @param {Array<Object>} props.rows - Rows from buildEditorRows
+ * @param {string|null} props.selectedId - Library focused on the map
+ * @param {Object|null} props.selectedShape - Selected library's entrances and footprint
+ * @param {Object|null} props.mode - Current map click mode (see CoordsEditor)
+ * @param {Function} props.onFocus - Called with an id when a placed library is clicked
+ * @param {Function} props.onModeChange - Called with a new map click mode, or null to cancel;
+ *   placing a library that's not in the registry carries the campus for its new entry
+ * @param {Function} props.onEntrancesChange - Called with the selected library's new entrances
+ * @param {Function} props.onFootprintChange - Called with the selected library's new footprint, or null
+ * @param {Function} props.onRemove - Called with an id to drop an orphaned registry entry
+ * @param {Function} props.onRestore - Called with an id to undo its pending change
+ */
+export default function CoordsPanel({
+  rows,
+  selectedId,
+  selectedShape,
+  mode,
+  onFocus,
+  onModeChange,
+  onEntrancesChange,
+  onFootprintChange,
+  onRemove,
+  onRestore
+}) {
+  // Campus chosen for each unregistered library, keyed by id
+  const [campuses, setCampuses] = useState({});
+  const changed = rows.filter(row => row.changed).length;
+  const needsAttention = rows.filter(row => row.status !== 'placed').length;
+
+  return (
+    <aside style={{
+      width: '340px',
+      overflowY: 'auto',
+      background: '#111',
+      color: '#ddd',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      borderLeft: '1px solid #333'
+    }}>
+      <div style={{ padding: '10px 12px', borderBottom: '1px solid #333', color: '#888' }}>
+        {rows.length} libraries · {changed} changed · {needsAttention} need attention
+      </div>
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {rows.map(row => {
+          const canFocus = Boolean(row.after);
+          const placing = mode?.type === 'place' && mode.id === row.id;
+          return (
+            <li
+              key={row.id}
+              onClick={canFocus ? () => onFocus(row.id) : undefined}
+              style={{
+                padding: '8px 12px',
+                borderBottom: '1px solid #222',
+                cursor: canFocus ? 'pointer' : 'default',
+                background: row.id === selectedId ? '#1e293b' : 'transparent',
+                opacity: row.removed ? 0.5 : 1
+              }}
+            >
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'baseline' }}>
+                <span style={{ color: row.changed ? '#f59e0b' : 'white', textDecoration: row.removed ? 'line-through' : 'none' }}>
+                  {row.name}
+                </span>
+                {row.added ? (
+                  <span style={{ color: '#f59e0b', fontSize: '11px' }}>New registry entry</span>
+                ) : STATUS_LABELS[row.status] && (
+                  <span style={{ color: '#f87171', fontSize: '11px' }}>{STATUS_LABELS[row.status]}</span>
+                )}
+              </div>
+              <div style={{ color: '#888' }}>{row.id}</div>
+              <div>
+                {formatCoords(row.before)}
+                {row.changed && <> → <span style={{ color: '#f59e0b' }}>{row.removed ? 'removed' : formatCoords(row.after)}</span></>}
+                {row.movedMeters != null && <span style={{ color: '#888' }}> ({formatMovedDistance(row.movedMeters)})</span>}
+              </div>
+              {(row.entrances > 0 || row.hasFootprint) && (
+                <div style={{ color: row.reshaped ? '#f59e0b' : '#888' }}>
+                  {[
+                    row.entrances > 0 && `${row.entrances} ${row.entrances === 1 ? 'entrance' : 'entrances'}`,
+                    row.hasFootprint && 'footprint',
+                  ].filter(Boolean).join(' · ')}
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '6px', marginTop: '4px' }} onClick={e => e.stopPropagation()}>
+                {row.status === 'missing' && !row.after && (
+                  <button style={buttonStyle} onClick={() => onModeChange(placing ? null : { type: 'place', id: row.id })}>
+                    {placing ? 'Cancel' : 'Place on map'}
+                  </button>
+                )}
+                {row.status === 'unregistered' && !row.added && (
+                  <>
+                    <select
+                      value={campuses[row.id] ?? DEFAULT_CAMPUS}
+                      disabled={placing}
+                      onChange={e => setCampuses({ ...campuses, [row.id]: e.target.value })}
+                      style={{ fontFamily: 'inherit', fontSize: '11px' }}
+                    >
+                      {CAMPUSES.map(campus => <option key={campus} value={campus}>{campus}</option>)}
+                    </select>
+                    <button
+                      style={buttonStyle}
+                      onClick={() => onModeChange(placing ? null : { type: 'place', id: row.id, campus: campuses[row.id] ?? DEFAULT_CAMPUS })}
+                    >
+                      {placing ? 'Cancel' : 'Add and place'}
+                    </button>
+                  </>
+                )}
+                {row.status === 'orphan' && !row.removed && (
+                  <button style={buttonStyle} onClick={() => onRemove(row.id)}>Remove</button>
+                )}
+                {row.changed && (
+                  <button style={buttonStyle} onClick={() => onRestore(row.id)}>Revert</button>
+                )}
+              </div>
+              {row.id === selectedId && selectedShape && row.after && (
+                <ShapeEditor
+                  id={row.id}
+                  shape={selectedShape}
+                  mode={mode?.id === row.id ? mode : null}
+                  onModeChange={onModeChange}
+                  onEntrancesChange={onEntrancesChange}
+                  onFootprintChange={onFootprintChange}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { LibraryDataContext, fetchLibraryData, mergeLibraryData, getHoursCoverage } from "./libraryData";
+
+export default function LibraryDataProvider({ children }) {
+  const [data, setData] = useState({ rows: [], registry: {}, hoursById: {}, meta: null, loadWarnings: [], updatedAt: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => (
+    fetchLibraryData()
+      .then(result => {
+        setData(result);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Failed to load library data:', err);
+        setError(err);
+      })
+      .finally(() => setLoading(false))
+  ), []);
+
+  // Load everything once on mount
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const { libraries, warnings } = useMemo(() => {
+    const merged = mergeLibraryData(data.rows, data.registry, data.hoursById);
+    return { libraries: merged.libraries, warnings: [...data.loadWarnings, ...merged.warnings] };
+  }, [data]);
+
+  // Surface validation problems once per load
+  useEffect(() => {
+    warnings.forEach(warning => console.warn(warning));
+  }, [warnings]);
+
+  const coverage = useMemo(() => getHoursCoverage(data.meta, data.hoursById), [data]);
+
+  const value = useMemo(() => ({
+    libraries,
+    registry: data.registry,
+    loading,
+    error,
+    warnings,
+    updatedAt: data.updatedAt,
+    meta: data.meta,
+    coverage,
+    reload,
+  }), [libraries, data.registry, loading, error, warnings, data.updatedAt, data.meta, coverage, reload]);
+
+  return (
+    <LibraryDataContext.Provider value={value}>
+      {children}
+    </LibraryDataContext.Provider>
+  );
+}
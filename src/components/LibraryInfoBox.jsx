@@ -1,21 +1,42 @@
 import { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "motion/react";
-import { X } from "@phosphor-icons/react";
-import { DAY_COLUMNS, getLibraryStatus } from "./libraryUtils";
+import { X, CaretLeft, CaretRight, Wheelchair, Warning } from "@phosphor-icons/react";
+import { getDaySchedule, formatSchedule, formatMinutes, getLibraryStatusDetails, toDateKey, DAY_LABELS, GEOLOCATION_SUPPORTED } from "./libraryUtils";
+import { getArrivalDetails, formatWalkingTime, formatWalkingDistance } from "./routing";
+import { getAmenityLabel } from "./amenities";
+import { getDirectionsTarget } from "./libraryData";
 
-const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DIRECTIONS_PROGRESS = {
+  locating: 'Finding you…',
+  picking: 'Click the map to start',
+  routing: 'Finding a route…',
+};
+
+// Slide-up animation shared by the library and not-found boxes
+const INFO_BOX_MOTION = {
+  initial: { y: "100%", opacity: 0 },
+  animate: { y: 0, opacity: 1 },
+  exit: { y: "100%", opacity: 0 },
+  transition: {
+    type: "spring",
+    damping: 25,
+    stiffness: 300,
+    mass: 0.5
+  }
+};
 
 /**
- * Formats hours string for display in the info box
- * @param {string} hoursString - Raw hours string from CSV
- * @returns {string} Formatted hours or "Closed"
+ * Builds the seven EST dates (Sunday to Saturday) of a week relative to today
+ * @param {Date} estToday - Today's date already converted to EST
+ * @param {number} weekOffset - 0 for this week, 1 for next week, etc.
+ * @returns {Array<Date>} Dates for Sunday through Saturday
  */
-function formatHours(hoursString) {
-  if (!hoursString || hoursString.trim().toLowerCase() === 'closed' || hoursString.trim() === '') {
-    return 'Closed';
-  }
-  // Replace ". " with line break for multi-session display
-  return hoursString.replace(/\.\s+/g, '\n');
+function getWeekDates(estToday, weekOffset) {
+  return DAY_LABELS.map((_, index) => {
+    const date = new Date(estToday);
+    date.setDate(estToday.getDate() - estToday.getDay() + weekOffset * 7 + index);
+    return date;
+  });
 }
 
 /**
@@ -33,16 +54,83 @@ function getStatusLabel(status) {
 }
 
 /**
- * Creates a Google Maps URL for the given address
+ * Creates a Google Maps URL for a point, or for the address when there isn't one
  * @param {string} address - Full address string
+ * @param {{lat: number, lng: number} | null} point - Entrance or library coordinates
  * @returns {string} Google Maps search URL
  */
-function getGoogleMapsUrl(address) {
-  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`;
+function getGoogleMapsUrl(address, point) {
+  const query = point ? `${point.lat},${point.lng}` : address;
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
+}
+
+/**
+ * Formats a time as an EST clock time
+ * @param {Date} time - Any time
+ * @returns {string} e.g. "4:52pm"
+ */
+function formatEasternTime(time) {
+  const estTime = new Date(time.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  return formatMinutes(estTime.getHours() * 60 + estTime.getMinutes());
 }
 
-export default function LibraryInfoBox({ library, onClose }) {
+/**
+ * Walking directions controls and summary for the selected library
+ * @param {Object} props
+ * @param {Object} props.directions - Current directions (see App)
+ * @param {Object | null} props.arrival - Arrival details for a ready route, from getArrivalDetails
+ * @param {Function} props.onWalkFromLocation - Routes from the user's location
+ * @param {Function} props.onPickStart - Routes from the next point clicked on the map
+ * @param {Function} props.onClear - Cancels or clears the directions
+ */
+function DirectionsRow({ directions, arrival, onWalkFromLocation, onPickStart, onClear }) {
+  const { status, route, error } = directions;
+
+  let summary = null;
+  if (status === 'ready') {
+    summary = `${formatWalkingTime(route.durationSeconds)} · ${formatWalkingDistance(route.distanceMeters)} · Arrive ${formatEasternTime(arrival.arrival)}`;
+  } else if (status === 'error') {
+    summary = error;
+  } else {
+    summary = DIRECTIONS_PROGRESS[status] ?? null;
+  }
+
+  return (
+    <div className="info-row">
+      <span className="info-label">Walk</span>
+      <span className="info-value info-directions">
+        {summary && <span className={status === 'error' ? 'directions-error' : ''}>{summary}</span>}
+        {status === 'idle' ? (
+          <>
+            {GEOLOCATION_SUPPORTED && (
+              <button className="directions-button" onClick={onWalkFromLocation}>From my location</button>
+            )}
+            <button className="directions-button" onClick={onPickStart}>Pick start on map</button>
+          </>
+        ) : (
+          <button className="directions-button" onClick={onClear}>
+            {status === 'ready' || status === 'error' ? 'Clear' : 'Cancel'}
+          </button>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default function LibraryInfoBox({
+  library,
+  notFoundId,
+  plannedTime,
+  closingSoonMinutes,
+  directions,
+  onWalkFromLocation,
+  onPickStart,
+  onClearDirections,
+  onClose
+}) {
   const [currentTime, setCurrentTime] = useState(new Date());
+  // Week offset is remembered per library so selecting another library starts on this week
+  const [weekView, setWeekView] = useState({ libraryId: null, offset: 0 });
 
   // Update time every minute for status updates
   useEffect(() => {
@@ -53,33 +141,56 @@ export default function LibraryInfoBox({ library, onClose }) {
     return () => clearInterval(intervalID);
   }, []);
 
+  // Planned "open at" time overrides the live clock
+  const viewTime = plannedTime ?? currentTime;
+
   // Get current day index in EST
-  const estTime = new Date(currentTime.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const estTime = new Date(viewTime.toLocaleString('en-US', { timeZone: 'America/New_York' }));
   const todayIndex = estTime.getDay();
 
-  const status = library ? getLibraryStatus(library, currentTime) : 'closed';
+  const { status, label: statusLabel } = library
+    ? getLibraryStatusDetails(library, viewTime, { closingSoonMinutes })
+    : { status: 'closed', label: '' };
+
+  const weekOffset = library && weekView.libraryId === library.Id ? weekView.offset : 0;
+  const weekDates = getWeekDates(estTime, weekOffset);
+  const lastDateKey = library?.hours ? Object.keys(library.hours).sort().at(-1) : null;
+  const nextWeekStart = getWeekDates(estTime, weekOffset + 1)[0];
+  const hasNextWeek = lastDateKey !== null && toDateKey(nextWeekStart) <= lastDateKey;
+
+  // Leaving now (or at the planned time), would it still be open on arrival?
+  const arrival = library && directions.status === 'ready'
+    ? getArrivalDetails(library, viewTime, directions.route.durationSeconds, { closingSoonMinutes })
+    : null;
+
+  const changeWeek = (delta) => {
+    setWeekView({ libraryId: library.Id, offset: weekOffset + delta });
+  };
 
   return (
     <AnimatePresence>
+      {!library && notFoundId && (
+        <motion.div key="not-found" className="info-box" {...INFO_BOX_MOTION}>
+          <div className="info-box-header">
+            <div className="info-box-title">
+              <span className="info-box-name">Library not found</span>
+              <span className="info-box-description">No library matches "{notFoundId}"</span>
+            </div>
+            <button className="info-box-close" onClick={onClose}>
+              <X size={16} weight="light" />
+            </button>
+          </div>
+        </motion.div>
+      )}
       {library && (
-        <motion.div
-          className="info-box"
-          initial={{ y: "100%", opacity: 0 }}
-          animate={{ y: 0, opacity: 1 }}
-          exit={{ y: "100%", opacity: 0 }}
-          transition={{
-            type: "spring",
-            damping: 25,
-            stiffness: 300,
-            mass: 0.5
-          }}
-        >
+        <motion.div key="library" className="info-box" {...INFO_BOX_MOTION}>
           <div className="info-box-header">
             <div className="info-box-title">
               <span className="info-box-name">{library.Name}</span>
               {library.Description && (
                 <span className="info-box-description">{library.Description}</span>
               )}
+              <span className={`info-box-countdown status-${status}`}>{statusLabel}</span>
             </div>
             <button className="info-box-close" onClick={onClose}>
               <X size={16} weight="light" />
@@ -90,14 +201,61 @@ export default function LibraryInfoBox({ library, onClose }) {
             <div className="info-row">
               <span className="info-label">Address</span>
               <span className="info-value">
-                <a href={getGoogleMapsUrl(library.Address)} target="_blank" rel="noopener noreferrer">
+                <a href={getGoogleMapsUrl(library.Address, getDirectionsTarget(library))} target="_blank" rel="noopener noreferrer">
                   {library.Address}
                 </a>
               </span>
             </div>
 
+            {library.entrances.length > 0 && (
+              <div className="info-row">
+                <span className="info-label">{library.entrances.length === 1 ? 'Entrance' : 'Entrances'}</span>
+                <span className="info-value info-entrances">
+                  {library.entrances.map(entrance => (
+                    <a
+                      key={entrance.name}
+                      href={getGoogleMapsUrl(library.Address, entrance)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {entrance.name}
+                      {entrance.accessible && <Wheelchair size={12} weight="light" aria-label="Accessible" />}
+                    </a>
+                  ))}
+                </span>
+              </div>
+            )}
+
+            {library.amenities.length > 0 && (
+              <div className="info-row">
+                <span className="info-label">Amenities</span>
+                <span className="info-value info-amenities">
+                  {library.amenities.map(id => (
+                    <span key={id} className="amenity-tag">{getAmenityLabel(id)}</span>
+                  ))}
+                </span>
+              </div>
+            )}
+
+            {getDirectionsTarget(library) && (
+              <DirectionsRow
+                directions={directions}
+                arrival={arrival}
+                onWalkFromLocation={onWalkFromLocation}
+                onPickStart={onPickStart}
+                onClear={onClearDirections}
+              />
+            )}
+
+            {arrival?.warning && (
+              <div className={`directions-warning status-${arrival.status}`} role="alert">
+                <Warning size={14} weight="regular" />
+                {arrival.warning}
+              </div>
+            )}
+
             <div className="info-row">
-              <span className="info-label">Status</span>
+              <span className="info-label">{plannedTime ? 'Status (planned)' : 'Status'}</span>
               <span className="info-value">
                 <span className={`info-status-dot status-${status}`}></span>
                 {getStatusLabel(status)}
@@ -105,21 +263,42 @@ export default function LibraryInfoBox({ library, onClose }) {
             </div>
 
             <div className="hours-section">
-              <span className="info-label">Hours</span>
+              <div className="hours-header">
+                <span className="info-label">
+                  {weekOffset === 0 ? 'Hours' : `Hours · Week of ${weekDates[0].getMonth() + 1}/${weekDates[0].getDate()}`}
+                </span>
+                <div className="week-nav">
+                  <button
+                    className="week-nav-button"
+                    onClick={() => changeWeek(-1)}
+                    disabled={weekOffset === 0}
+                  >
+                    <CaretLeft size={12} weight="light" />
+                  </button>
+                  <button
+                    className="week-nav-button"
+                    onClick={() => changeWeek(1)}
+                    disabled={!hasNextWeek}
+                  >
+                    <CaretRight size={12} weight="light" />
+                  </button>
+                </div>
+              </div>
               <div className="hours-row">
-                {DAY_COLUMNS.map((day, index) => {
-                  const hours = library[day];
-                  const isClosed = !hours || hours.trim().toLowerCase() === 'closed' || hours.trim() === '';
-                  const isToday = index === todayIndex;
+                {weekDates.map((date, index) => {
+                  const schedule = getDaySchedule(library, date);
+                  const isClosed = schedule.sessions.length === 0;
+                  const isToday = weekOffset === 0 && index === todayIndex;
 
                   return (
                     <div
-                      key={day}
+                      key={toDateKey(date)}
                       className={`day-column ${isToday ? 'today' : ''}`}
                     >
                       <span className="day-label">{DAY_LABELS[index]}</span>
+                      <span className="day-date">{date.getMonth() + 1}/{date.getDate()}</span>
                       <span className={`day-hours ${isClosed ? 'closed' : ''}`}>
-                        {formatHours(hours)}
+                        {formatSchedule(schedule, '\n')}
                       </span>
                     </div>
                   );
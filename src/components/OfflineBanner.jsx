@@ -0,0 +1,38 @@
+import { WifiSlash, MapTrifold, ArrowClockwise } from "@phosphor-icons/react";
+import useOnlineStatus from "./useOnlineStatus";
+import { useLibraries } from "./libraryData";
+import { formatShortDate } from "./libraryUtils";
+
+export default function OfflineBanner({ mapUnavailable }) {
+  const online = useOnlineStatus();
+  const { updatedAt, meta } = useLibraries();
+  // Prefer the updater's fetch time; fall back to when the CSV was published
+  const lastUpdated = meta?.fetchedAt ? new Date(meta.fetchedAt) : updatedAt;
+
+  if (online && !mapUnavailable) return null;
+
+  return (
+    <div className="offline-banner" role="status">
+      {!online && (
+        <span className="offline-banner-item">
+          <WifiSlash size={14} weight="light" />
+          {lastUpdated
+            ? `Offline · hours last updated ${formatShortDate(lastUpdated)}`
+            : 'Offline · showing saved hours'}
+        </span>
+      )}
+      {mapUnavailable && (
+        <span className="offline-banner-item">
+          <MapTrifold size={14} weight="light" />
+          Map unavailable · showing the list
+          {online && (
+            <button className="offline-banner-retry" onClick={() => window.location.reload()}>
+              <ArrowClockwise size={12} weight="light" />
+              Retry
+            </button>
+          )}
+        </span>
+      )}
+    </div>
+  );
+}
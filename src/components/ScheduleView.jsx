@@ -0,0 +1,153 @@
+import { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { ArrowLeft } from "@phosphor-icons/react";
+import { formatMinutes, formatSchedule, toDateKey, DAY_LABELS } from "./libraryUtils";
+import { useLibraries } from "./libraryData";
+import { SCHEDULE_SORTS, buildScheduleRows, describeLatestClose, toTimelinePercent } from "./schedule";
+
+// Today plus the rest of the week
+const DAYS_SHOWN = 7;
+
+const HOUR_TICKS = [0, 3, 6, 9, 12, 15, 18, 21];
+
+const SORT_LABELS = {
+  'latest-close': 'Latest close',
+  name: 'Name',
+};
+
+/**
+ * Converts a time to EST wall-clock time
+ * @param {Date} time - Any time
+ * @returns {Date} Date whose local fields read as EST
+ */
+function toEasternTime(time) {
+  return new Date(time.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+}
+
+/**
+ * Every library's hours for one day as a timeline, at /schedule
+ * Bars are the parsed sessions; clicking one opens the library on the map
+ */
+export default function ScheduleView() {
+  const navigate = useNavigate();
+  const { libraries, loading, error } = useLibraries();
+  const [currentTime, setCurrentTime] = useState(new Date());
+  const [dayOffset, setDayOffset] = useState(0);
+  const [sortBy, setSortBy] = useState('latest-close');
+
+  // Update time every minute so the "now" line keeps moving
+  useEffect(() => {
+    const intervalID = setInterval(() => {
+      setCurrentTime(new Date());
+    }, 60000);
+
+    return () => clearInterval(intervalID);
+  }, []);
+
+  const estNow = toEasternTime(currentTime);
+  const nowMinutes = estNow.getHours() * 60 + estNow.getMinutes();
+  const days = Array.from({ length: DAYS_SHOWN }, (_, offset) => {
+    const date = new Date(estNow);
+    date.setDate(estNow.getDate() + offset);
+    return date;
+  });
+  const rows = buildScheduleRows(libraries, days[dayOffset], sortBy);
+  const isToday = dayOffset === 0;
+
+  const openLibrary = (library) => {
+    navigate(`/library/${encodeURIComponent(library.Id)}`);
+  };
+
+  return (
+    <div className="schedule-view">
+      <header className="schedule-header">
+        <Link to="/" className="schedule-back">
+          <ArrowLeft size={14} weight="light" />
+          Map
+        </Link>
+        <h3>Hours across campus</h3>
+        <div className="schedule-controls">
+          <div className="schedule-options">
+            {days.map((date, offset) => (
+              <button
+                key={toDateKey(date)}
+                className={`filter-chip ${offset === dayOffset ? 'active' : ''}`}
+                onClick={() => setDayOffset(offset)}
+              >
+                {offset === 0 ? 'Today' : DAY_LABELS[date.getDay()]} {date.getMonth() + 1}/{date.getDate()}
+              </button>
+            ))}
+          </div>
+          <div className="schedule-options">
+            <span className="schedule-label">Sort by</span>
+            {SCHEDULE_SORTS.map(option => (
+              <button
+                key={option}
+                className={`filter-chip ${sortBy === option ? 'active' : ''}`}
+                onClick={() => setSortBy(option)}
+              >
+                {SORT_LABELS[option]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </header>
+
+      <div className="schedule-grid">
+        <div className="schedule-row schedule-axis">
+          <span className="schedule-name"></span>
+          <div className="schedule-track">
+            {HOUR_TICKS.map(hour => (
+              <span key={hour} className="schedule-tick" style={{ left: toTimelinePercent(hour * 60) }}>
+                {formatMinutes(hour * 60)}
+              </span>
+            ))}
+            {isToday && (
+              <span className="schedule-now schedule-now-label" style={{ left: toTimelinePercent(nowMinutes) }}>
+                Now
+              </span>
+            )}
+          </div>
+          <span className="schedule-close"></span>
+        </div>
+
+        {loading && (
+          <div className="library-list-message">Loading libraries...</div>
+        )}
+        {error && (
+          <div className="library-list-message">Couldn't load library data. Try reloading the page.</div>
+        )}
+
+        {rows.map(({ library, schedule, latestClose }) => (
+          <div key={library.Id} className="schedule-row">
+            <Link to={`/library/${encodeURIComponent(library.Id)}`} className="schedule-name">
+              {library.Name}
+            </Link>
+            <div className="schedule-track">
+              {schedule.sessions.map(({ open, close }) => {
+                const hours = `${formatMinutes(open)} - ${formatMinutes(close)}`;
+                const current = isToday && nowMinutes >= open && nowMinutes < close;
+                return (
+                  <button
+                    key={open}
+                    className={`schedule-bar ${current ? 'current' : ''}`}
+                    style={{ left: toTimelinePercent(open), width: toTimelinePercent(close - open) }}
+                    title={`${library.Name}: ${hours}`}
+                    onClick={() => openLibrary(library)}
+                  >
+                    {hours}
+                  </button>
+                );
+              })}
+              {schedule.sessions.length === 0 && (
+                <span className="schedule-note">{formatSchedule(schedule, ', ')}</span>
+              )}
+              {isToday && <span className="schedule-now" style={{ left: toTimelinePercent(nowMinutes) }}></span>}
+            </div>
+            <span className="schedule-close">{describeLatestClose(latestClose)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,77 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
+import { Link } from "react-router-dom";
 import { motion, AnimatePresence } from "motion/react";
-import { MagnifyingGlassIcon, ArrowCounterClockwiseIcon, GearIcon, InfoIcon, XIcon } from "@phosphor-icons/react";
-import { DAY_COLUMNS, getLibraryStatus } from "./libraryUtils";
+import { MagnifyingGlassIcon, ArrowCounterClockwiseIcon, GearIcon, InfoIcon, XIcon, CalendarBlankIcon, WarningIcon, ChartBarHorizontalIcon } from "@phosphor-icons/react";
+import {
+  getDaySchedule,
+  formatSchedule,
+  getLibraryStatusDetails,
+  getDistanceMiles,
+  formatDistance,
+  toEasternInputValue,
+  fromEasternInputValue,
+  formatDateKey,
+  formatShortDate,
+  GEOLOCATION_SUPPORTED,
+} from "./libraryUtils";
+import { useLibraries, isOutsideCoverage } from "./libraryData";
+import { AMENITIES, hasAmenities } from "./amenities";
+import { buildSearchIndex, searchLibraries, hasSearchTerms } from "./search";
+import { loadPreference, savePreference } from "./preferences";
+
+const SORT_STORAGE_KEY = 'harvard-libraries:sortBy';
+const SORT_OPTIONS = ['distance', 'open', 'alphabetical'];
+const STATUS_RANK = { open: 0, closing: 1, closed: 2 };
+const CLOSING_SOON_OPTIONS = [15, 30, 60, 90];
+
+/**
+ * Reads the saved sort preference from localStorage
+ * @returns {'distance' | 'open' | 'alphabetical'} Saved sort mode, or 'distance' by default
+ */
+function loadSortPreference() {
+  return loadPreference(SORT_STORAGE_KEY, 'distance', saved => (SORT_OPTIONS.includes(saved) ? saved : null));
+}
+
+/**
+ * Compares two libraries by name
+ * @param {Object} a - Library object
+ * @param {Object} b - Library object
+ * @returns {number} Sort order
+ */
+function compareByName(a, b) {
+  return (a.Name || '').localeCompare(b.Name || '');
+}
+
+/**
+ * Compares two libraries by open status, then by time remaining until close
+ * Libraries that stay open longest come first within the same status
+ * @param {Object} a - Status details of one library, from getLibraryStatusDetails
+ * @param {Object} b - Status details of the other library
+ * @returns {number} Sort order
+ */
+function compareByOpenStatus(a, b) {
+  const rankDiff = STATUS_RANK[a.status] - STATUS_RANK[b.status];
+  if (rankDiff !== 0) return rankDiff;
+  return getMinutesOpenLeft(b) - getMinutesOpenLeft(a);
+}
+
+/**
+ * Minutes a library stays open for, from its status details
+ * @param {{status: string, minutesUntilChange: number | null}} details - From getLibraryStatusDetails
+ * @returns {number} Minutes until close, Infinity if no close is known, or 0 when closed
+ */
+function getMinutesOpenLeft({ status, minutesUntilChange }) {
+  if (status === 'closed') return 0;
+  return minutesUntilChange ?? Infinity;
+}
+
+/**
+ * Current time rounded down to the minute, the resolution statuses are worked out at
+ * @returns {Date} Start of the current minute
+ */
+function getCurrentMinute() {
+  return new Date(Math.floor(Date.now() / 60000) * 60000);
+}
 
 /**
  * Simplifies address by removing city, state, and zip code
@@ -14,124 +84,133 @@ function simplifyAddress(address) {
   return address.split(',')[0].trim();
 }
 
+/**
+ * Renders text with the given ranges marked
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {Array<[number, number]>} [props.ranges] - Sorted, non-overlapping start/end offsets to mark
+ */
+function HighlightedText({ text, ranges }) {
+  const parts = [];
+  let last = 0;
+  for (const [start, end] of ranges ?? []) {
+    if (start >= text.length) break;
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={start} className="search-match">{text.slice(start, Math.min(end, text.length))}</mark>);
+    last = Math.min(end, text.length);
+  }
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
 /**
  * Formats today's hours for display
- * Replaces ". " with ", " for multi-session days
- * @param {Object} library - Library object with day columns
+ * Joins multi-session days with ", "
+ * @param {Object} library - Library object with day columns and optional `hours` map
  * @param {Date} currentTime - Current time (will be converted to EST)
  * @returns {string} Formatted hours string for today
  */
 function formatTodayHours(library, currentTime) {
   // Convert to EST
   const estTime = new Date(currentTime.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const dayIndex = estTime.getDay();
-  const hoursString = library[DAY_COLUMNS[dayIndex]];
-
-  // Handle closed or empty
-  if (!hoursString || hoursString.trim().toLowerCase() === 'closed' || hoursString.trim() === '') {
-    return 'Closed Today';
-  }
-
-  // Replace ". " with ", " for multi-session display
-  return hoursString.replace(/\.\s+/g, ', ');
-}
-
-/**
- * Parses CSV text into array of library objects
- * @param {string} csvText - Raw CSV file content
- * @returns {Array<Object>} Array of library objects with named properties
- */
-function parseCSV(csvText) {
-  const lines = csvText.trim().split('\n');
-  if (lines.length < 2) return [];
-
-  // Parse header row to get column names
-  const headers = parseCSVLine(lines[0]);
-  const libraries = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const library = {};
-    headers.forEach((header, index) => {
-      library[header] = values[index] || '';
-    });
-    libraries.push(library);
-  }
-
-  return libraries;
-}
-
-/**
- * Parses a single CSV line, handling quoted fields
- * @param {string} line - Single CSV line
- * @returns {Array<string>} Array of field values
- */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  result.push(current.trim());
+  const schedule = getDaySchedule(library, estTime);
 
-  return result;
+  const formatted = formatSchedule(schedule, ', ');
+  return formatted === 'Closed' ? 'Closed Today' : formatted;
 }
 
-export default function Sidebar({ onLibraryClick }) {
-  const [currentTime, setCurrentTime] = useState(new Date());
-  const [libraries, setLibraries] = useState([]);
-  const [coords, setCoords] = useState({});
+export default function Sidebar({
+  onLibraryClick,
+  hoveredLibraryId,
+  onLibraryHover,
+  plannedTime,
+  onPlannedTimeChange,
+  closingSoonMinutes,
+  onClosingSoonMinutesChange,
+}) {
+  const { libraries, loading, error, meta, coverage } = useLibraries();
+  const [currentTime, setCurrentTime] = useState(getCurrentMinute);
   const [searchQuery, setSearchQuery] = useState('');
+  // Result picked with the arrow keys; it belongs to the query it was picked for
+  const [activeResult, setActiveResult] = useState({ query: '', index: -1 });
+  const entryRefs = useRef(new Map());
   const [statusFilter, setStatusFilter] = useState(null);
+  // Filter chips combine: "open now" plus every selected amenity must match
+  const [openNowFilter, setOpenNowFilter] = useState(false);
+  const [amenityFilter, setAmenityFilter] = useState([]);
   const [settingsOpen, setSettingsOpen] = useState(false);
-  const [sortBy, setSortBy] = useState('distance');
+  const [sortBy, setSortBy] = useState(loadSortPreference);
+  const [userLocation, setUserLocation] = useState(null);
+  const [locationError, setLocationError] = useState(null);
 
-  // Update time every second
+  // Check the clock every second, but only re-render (and recompute statuses) when the minute changes
   useEffect(() => {
     const intervalID = setInterval(() => {
-      setCurrentTime(new Date());
+      const minute = getCurrentMinute();
+      setCurrentTime(previous => previous.getTime() === minute.getTime() ? previous : minute);
     }, 1000);
 
     return () => clearInterval(intervalID);
   }, []);
 
-  // Load libraries CSV on mount
+  // Persist sort preference across reloads
   useEffect(() => {
-    fetch('/libraries.csv')
-      .then(res => res.text())
-      .then(text => {
-        const parsed = parseCSV(text);
-        setLibraries(parsed);
-      })
-      .catch(err => console.error('Failed to load libraries:', err));
-  }, []);
+    savePreference(SORT_STORAGE_KEY, sortBy);
+  }, [sortBy]);
 
-  // Load library coordinates on mount
+  // Track user location while sorting by distance
   useEffect(() => {
-    fetch('/library-coords.json')
-      .then(res => res.json())
-      .then(data => setCoords(data))
-      .catch(err => console.error('Failed to load library coordinates:', err));
-  }, []);
+    if (sortBy !== 'distance' || !GEOLOCATION_SUPPORTED) return;
+
+    const watchID = navigator.geolocation.watchPosition(
+      (position) => {
+        setUserLocation({ lat: position.coords.latitude, lng: position.coords.longitude });
+        setLocationError(null);
+      },
+      (err) => {
+        console.warn('Geolocation unavailable:', err.message);
+        setLocationError(err);
+      },
+      { maximumAge: 60000 }
+    );
+
+    return () => navigator.geolocation.clearWatch(watchID);
+  }, [sortBy]);
+
+  // Distance in miles from the user to each library, keyed by Id
+  const distances = useMemo(() => {
+    if (!userLocation) return {};
+    const result = {};
+    for (const lib of libraries) {
+      if (lib.coords) result[lib.Id] = getDistanceMiles(userLocation, lib.coords);
+    }
+    return result;
+  }, [userLocation, libraries]);
+
+  const locationUnavailable = !GEOLOCATION_SUPPORTED || (locationError && !userLocation);
+
+  // Only offer chips for amenities some library has, plus any already selected
+  const amenityChips = useMemo(() => {
+    const offered = new Set(libraries.flatMap(lib => lib.amenities));
+    return AMENITIES.filter(amenity => offered.has(amenity.id) || amenityFilter.includes(amenity.id));
+  }, [libraries, amenityFilter]);
+
+  const toggleAmenity = (id) => {
+    setAmenityFilter(amenityFilter.includes(id) ? amenityFilter.filter(other => other !== id) : [...amenityFilter, id]);
+  };
+
+  const chipsActive = openNowFilter || amenityFilter.length > 0;
 
   const handleEntryClick = (library) => {
-    const libCoords = coords[library.Id];
-    if (libCoords && onLibraryClick) {
-      onLibraryClick(library, libCoords.lat, libCoords.lng);
+    if (library.coords && onLibraryClick) {
+      onLibraryClick(library, library.coords.lat, library.coords.lng);
     }
   };
 
-  const timeString = currentTime.toLocaleTimeString('en-US', {
+  // Planned "open at" time overrides the live clock everywhere in the list
+  const viewTime = plannedTime ?? currentTime;
+
+  const timeString = viewTime.toLocaleTimeString('en-US', {
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
@@ -141,55 +220,124 @@ export default function Sidebar({ onLibraryClick }) {
   const [time, period] = timeString.split(' ');
   const [hours, minutes] = time.split(':');
 
-  const dateString = currentTime.toLocaleDateString('en-US', {
+  const dateString = viewTime.toLocaleDateString('en-US', {
     weekday: 'short',
     month: 'short',
     day: 'numeric',
     timeZone: 'America/New_York'
   }).toUpperCase().replace(',', '');
 
+  const statusOptions = useMemo(() => ({ closingSoonMinutes }), [closingSoonMinutes]);
+
+  // Warn when the fetched hours don't include the day being shown (e.g. the weekly update broke)
+  const hoursOutOfDate = isOutsideCoverage(coverage, viewTime);
+
+  // Ranked search over names, nicknames, descriptions and addresses, keyed by Id
+  const searchIndex = useMemo(() => buildSearchIndex(libraries), [libraries]);
+  // A query without any words (e.g. "-" or "&") counts as no search at all
+  const searchResults = useMemo(() => {
+    if (!hasSearchTerms(searchQuery)) return null;
+    return new Map(searchLibraries(searchIndex, searchQuery).map(result => [result.library.Id, result]));
+  }, [searchIndex, searchQuery]);
+
+  // Status of every library at the time shown, worked out once rather than in each filter and comparison
+  const statuses = useMemo(
+    () => new Map(libraries.map(lib => [lib.Id, getLibraryStatusDetails(lib, viewTime, statusOptions)])),
+    [libraries, viewTime, statusOptions]
+  );
+
   // Filter and sort libraries based on search query and status filter
   const filteredLibraries = useMemo(() => {
     let result = libraries;
 
     // Apply search filter
-    const query = searchQuery.toLowerCase().trim();
-    if (query) {
-      result = result.filter(lib => {
-        const name = (lib.Name || '').toLowerCase();
-        const address = (lib.Address || '').toLowerCase();
-        return name.includes(query) || address.includes(query);
-      });
+    if (searchResults) {
+      result = result.filter(lib => searchResults.has(lib.Id));
     }
 
     // Apply status filter
     if (statusFilter) {
-      result = result.filter(lib => getLibraryStatus(lib, currentTime) === statusFilter);
+      result = result.filter(lib => statuses.get(lib.Id).status === statusFilter);
     }
 
-    // Sort by name relevance if searching
-    if (query) {
-      result = [...result].sort((a, b) => {
-        const aName = (a.Name || '').toLowerCase();
-        const bName = (b.Name || '').toLowerCase();
-        const aNameMatch = aName.includes(query);
-        const bNameMatch = bName.includes(query);
-
-        if (aNameMatch && !bNameMatch) return -1;
-        if (!aNameMatch && bNameMatch) return 1;
-        return aName.localeCompare(bName);
-      });
+    // Apply filter chips
+    if (openNowFilter) {
+      result = result.filter(lib => statuses.get(lib.Id).status !== 'closed');
+    }
+    if (amenityFilter.length > 0) {
+      result = result.filter(lib => hasAmenities(lib, amenityFilter));
     }
 
-    return result;
-  }, [libraries, searchQuery, statusFilter, currentTime]);
+    // Sort by selected mode, falling back to alphabetical when location is unavailable
+    let compare = compareByName;
+    if (sortBy === 'distance' && userLocation) {
+      compare = (a, b) => ((distances[a.Id] ?? Infinity) - (distances[b.Id] ?? Infinity)) || compareByName(a, b);
+    } else if (sortBy === 'open') {
+      compare = (a, b) => compareByOpenStatus(statuses.get(a.Id), statuses.get(b.Id)) || compareByName(a, b);
+    }
+
+    // Better search matches come first when searching
+    return [...result].sort((a, b) => {
+      if (searchResults) {
+        const scoreDiff = searchResults.get(b.Id).score - searchResults.get(a.Id).score;
+        if (scoreDiff !== 0) return scoreDiff;
+      }
+      return compare(a, b);
+    });
+  }, [libraries, searchResults, statusFilter, openNowFilter, amenityFilter, statuses, sortBy, userLocation, distances]);
+
+  const activeIndex = activeResult.query === searchQuery ? Math.min(activeResult.index, filteredLibraries.length - 1) : -1;
+  const activeLibrary = filteredLibraries[activeIndex] ?? null;
+
+  // Keep the result picked with the keyboard in view
+  useEffect(() => {
+    if (activeLibrary) entryRefs.current.get(activeLibrary.Id)?.scrollIntoView({ block: 'nearest' });
+  }, [activeLibrary]);
+
+  // Arrow keys move through the results, Enter opens one, Escape clears the search
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (filteredLibraries.length === 0) return;
+      const count = filteredLibraries.length;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const index = activeIndex === -1
+        ? (step === 1 ? 0 : count - 1)
+        : (activeIndex + step + count) % count;
+      setActiveResult({ query: searchQuery, index });
+      onLibraryHover?.(filteredLibraries[index].Id);
+    } else if (e.key === 'Enter') {
+      const library = activeLibrary ?? (searchResults ? filteredLibraries[0] : null);
+      if (library) handleEntryClick(library);
+    } else if (e.key === 'Escape') {
+      setSearchQuery('');
+      onLibraryHover?.(null);
+    }
+  };
 
   return (
     <div className="sidebar">
       <div className="sidebar-header">
-        <h3>Harvard Libraries</h3>
-        <h5>{dateString} · {hours}<span className="colon">:</span>{minutes} {period}</h5>
+        <div className="sidebar-title">
+          <h3>Harvard Libraries</h3>
+          {meta?.fetchedAt && (
+            <span className="data-freshness">Hours as of {formatShortDate(new Date(meta.fetchedAt))}</span>
+          )}
+        </div>
+        <h5 className={plannedTime ? 'planned-time' : ''}>
+          {dateString} · {hours}<span className={plannedTime ? '' : 'colon'}>:</span>{minutes} {period}
+        </h5>
       </div>
+      {hoursOutOfDate && (
+        <div className="stale-warning" role="alert">
+          <WarningIcon size={16} weight="regular" className="stale-warning-icon" />
+          <span>
+            {plannedTime ? 'No published hours for this date' : 'Hours may be out of date'}
+            {' '}· data covers {formatDateKey(coverage.start)} – {formatDateKey(coverage.end)}.
+            {' '}Regular weekly hours shown; check the library's website.
+          </span>
+        </div>
+      )}
       <div className="search-container">
         <MagnifyingGlassIcon size={16} weight="regular" className="search-icon" />
         <input
@@ -198,18 +346,110 @@ export default function Sidebar({ onLibraryClick }) {
           placeholder="Search libraries..."
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={handleSearchKeyDown}
+          role="combobox"
+          aria-controls="library-list"
+          aria-expanded={filteredLibraries.length > 0}
+          aria-activedescendant={activeLibrary ? `library-option-${activeLibrary.Id}` : undefined}
+        />
+      </div>
+      <div className="plan-container">
+        <CalendarBlankIcon size={16} weight="regular" className="plan-icon" />
+        <span className="plan-label">Open at</span>
+        <input
+          type="datetime-local"
+          className="plan-input"
+          value={toEasternInputValue(viewTime)}
+          onChange={(e) => onPlannedTimeChange?.(fromEasternInputValue(e.target.value))}
         />
+        {plannedTime && (
+          <button className="plan-reset-button" onClick={() => onPlannedTimeChange?.(null)}>
+            Back to now
+          </button>
+        )}
+      </div>
+      <div className="filter-chips">
+        <button
+          className={`filter-chip ${openNowFilter ? 'active' : ''}`}
+          onClick={() => setOpenNowFilter(!openNowFilter)}
+        >
+          Open now
+        </button>
+        {amenityChips.map(amenity => (
+          <button
+            key={amenity.id}
+            className={`filter-chip ${amenityFilter.includes(amenity.id) ? 'active' : ''}`}
+            onClick={() => toggleAmenity(amenity.id)}
+          >
+            {amenity.label}
+          </button>
+        ))}
+        {chipsActive && (
+          <button
+            className="filter-chip-reset"
+            onClick={() => {
+              setOpenNowFilter(false);
+              setAmenityFilter([]);
+            }}
+          >
+            <XIcon size={12} weight="regular" />
+          </button>
+        )}
       </div>
-      <div className="library-list">
-        {filteredLibraries.map((lib, index) => {
-          const status = getLibraryStatus(lib, currentTime);
+      <div className="library-list" id="library-list" role="listbox">
+        {loading && (
+          <div className="library-list-message">Loading libraries...</div>
+        )}
+        {error && (
+          <div className="library-list-message">Couldn't load library data. Try reloading the page.</div>
+        )}
+        {!loading && !error && filteredLibraries.length === 0 && (statusFilter || chipsActive) && (
+          <div className="library-list-message">No libraries match these filters.</div>
+        )}
+        {!loading && !error && filteredLibraries.length === 0 && searchResults && !statusFilter && !chipsActive && (
+          <div className="library-list-message">No libraries match "{searchQuery.trim()}".</div>
+        )}
+        {filteredLibraries.map((lib) => {
+          const { status, label: statusLabel } = statuses.get(lib.Id);
+          const distance = distances[lib.Id];
+          const match = searchResults?.get(lib.Id);
+          const isActive = lib.Id === activeLibrary?.Id;
           return (
-            <div key={index} className="library-entry" onClick={() => handleEntryClick(lib)}>
+            <div
+              key={lib.Id}
+              id={`library-option-${lib.Id}`}
+              ref={(element) => {
+                if (element) entryRefs.current.set(lib.Id, element);
+                else entryRefs.current.delete(lib.Id);
+              }}
+              role="option"
+              aria-selected={isActive}
+              className={`library-entry ${hoveredLibraryId === lib.Id ? 'hovered' : ''} ${isActive ? 'active' : ''}`}
+              onClick={() => handleEntryClick(lib)}
+              onMouseEnter={() => onLibraryHover?.(lib.Id)}
+              onMouseLeave={() => onLibraryHover?.(null)}
+            >
               <div className="library-info">
-                <span className="library-name">{lib.Name}</span>
-                <span className="library-address">{formatTodayHours(lib, currentTime)} · {simplifyAddress(lib.Address)}</span>
+                <span className="library-name">
+                  <HighlightedText text={lib.Name || ''} ranges={match?.highlights.Name} />
+                </span>
+                <span className="library-address">
+                  {formatTodayHours(lib, viewTime)} · <HighlightedText text={simplifyAddress(lib.Address)} ranges={match?.highlights.Address} />
+                </span>
+                {match?.nickname && (
+                  <span className="library-search-context">Also known as {match.nickname}</span>
+                )}
+                {!match?.nickname && match?.highlights.Description.length > 0 && (
+                  <span className="library-search-context">
+                    <HighlightedText text={lib.Description} ranges={match.highlights.Description} />
+                  </span>
+                )}
               </div>
               <div className={`status-indicator status-${status}`}>
+                <span className="library-countdown">{statusLabel}</span>
+                {distance !== undefined && (
+                  <span className="library-distance">{formatDistance(distance)}</span>
+                )}
                 <span className="status-dot"></span>
               </div>
             </div>
@@ -238,7 +478,9 @@ export default function Sidebar({ onLibraryClick }) {
                   <span className={`radio-box ${sortBy === 'distance' ? 'selected' : ''}`}>
                     <span className="radio-fill"></span>
                   </span>
-                  <span className="radio-label">Distance to me</span>
+                  <span className="radio-label">
+                    Distance to me{sortBy === 'distance' && locationUnavailable && ' (location unavailable)'}
+                  </span>
                 </label>
                 <label className="radio-option" onClick={() => setSortBy('open')}>
                   <span className={`radio-box ${sortBy === 'open' ? 'selected' : ''}`}>
@@ -254,6 +496,19 @@ export default function Sidebar({ onLibraryClick }) {
                 </label>
               </div>
             </div>
+            <div className="settings-row-bottom">
+              <span className="sort-label">Closing soon</span>
+              <div className="sort-options">
+                {CLOSING_SOON_OPTIONS.map(option => (
+                  <label key={option} className="radio-option" onClick={() => onClosingSoonMinutesChange?.(option)}>
+                    <span className={`radio-box ${closingSoonMinutes === option ? 'selected' : ''}`}>
+                      <span className="radio-fill"></span>
+                    </span>
+                    <span className="radio-label">{option} min</span>
+                  </label>
+                ))}
+              </div>
+            </div>
           </motion.div>
         )}
       </AnimatePresence>
@@ -262,6 +517,9 @@ export default function Sidebar({ onLibraryClick }) {
           <button className="settings-button" onClick={() => setSettingsOpen(!settingsOpen)}>
             <GearIcon size={16} weight="regular" />
           </button>
+          <Link to="/schedule" className="settings-button" title="Hours across campus">
+            <ChartBarHorizontalIcon size={16} weight="regular" />
+          </Link>
         </div>
         <div className="footer-right">
           {statusFilter && (
@@ -0,0 +1,69 @@
+/**
+ * Amenities and services a library can offer. Each library's list is curated
+ * by hand as `amenities` in library-registry.json (e.g. ["quiet-study", "printing"]),
+ * the only place they are recorded.
+ *
+ * Read by the app and the registry validation.
+ */
+
+export const AMENITIES = [
+  { id: 'quiet-study', label: 'Quiet study' },
+  { id: 'group-rooms', label: 'Group rooms' },
+  { id: 'printing', label: 'Printing' },
+  { id: 'scanning', label: 'Scanning' },
+  { id: 'computers', label: 'Computers' },
+  { id: '24h-access', label: '24h access' },
+  { id: 'accessible', label: 'Accessible' },
+  { id: 'food-allowed', label: 'Food allowed' },
+];
+
+export const AMENITY_IDS = AMENITIES.map(amenity => amenity.id);
+
+/**
+ * Puts amenity ids in catalogue order, dropping unknown ids and duplicates
+ * @param {Iterable<string>} ids - Amenity ids
+ * @returns {Array<string>} Known ids, in AMENITIES order
+ */
+export function sortAmenities(ids) {
+  const wanted = new Set(ids);
+  return AMENITY_IDS.filter(id => wanted.has(id));
+}
+
+/**
+ * Looks up the display label of an amenity
+ * @param {string} id - Amenity id
+ * @returns {string} Label, or the id itself if unknown
+ */
+export function getAmenityLabel(id) {
+  return AMENITIES.find(amenity => amenity.id === id)?.label ?? id;
+}
+
+/**
+ * Checks a registry `amenities` list
+ * @param {*} amenities - Registry value
+ * @returns {Array<string>} Problems found; empty if valid
+ */
+export function validateAmenities(amenities) {
+  if (!Array.isArray(amenities)) return ['amenities must be a list of amenity ids'];
+  const errors = [];
+  const seen = new Set();
+  for (const id of amenities) {
+    if (!AMENITY_IDS.includes(id)) {
+      errors.push(`unknown amenity "${id}" (expected one of ${AMENITY_IDS.join(', ')})`);
+    } else if (seen.has(id)) {
+      errors.push(`amenity "${id}" is listed twice`);
+    }
+    seen.add(id);
+  }
+  return errors;
+}
+
+/**
+ * Checks that a library offers every one of the given amenities
+ * @param {{amenities: Array<string>}} library - Merged library record
+ * @param {Array<string>} ids - Required amenity ids; an empty list matches everything
+ * @returns {boolean} True if all are offered
+ */
+export function hasAmenities(library, ids) {
+  return ids.every(id => library.amenities.includes(id));
+}
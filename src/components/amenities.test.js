@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AMENITY_IDS,
+  sortAmenities,
+  getAmenityLabel,
+  validateAmenities,
+  hasAmenities,
+} from './amenities';
+
+describe('sortAmenities', () => {
+  it.each([
+    [[], []],
+    [['printing', 'quiet-study'], ['quiet-study', 'printing']],
+    [['food-allowed', 'printing', 'printing', 'sauna'], ['printing', 'food-allowed']],
+  ])('%j → %j', (ids, expected) => {
+    expect(sortAmenities(ids)).toEqual(expected);
+  });
+
+  it('keeps the full catalogue as is', () => {
+    expect(sortAmenities([...AMENITY_IDS].reverse())).toEqual(AMENITY_IDS);
+  });
+});
+
+describe('getAmenityLabel', () => {
+  it('falls back to the id', () => {
+    expect(getAmenityLabel('24h-access')).toBe('24h access');
+    expect(getAmenityLabel('sauna')).toBe('sauna');
+  });
+});
+
+describe('validateAmenities', () => {
+  it.each([
+    [['printing', 'scanning'], []],
+    ['printing', ['amenities must be a list of amenity ids']],
+    [['printing', 'printing'], ['amenity "printing" is listed twice']],
+    [['sauna'], [`unknown amenity "sauna" (expected one of ${AMENITY_IDS.join(', ')})`]],
+  ])('%j', (amenities, errors) => {
+    expect(validateAmenities(amenities)).toEqual(errors);
+  });
+});
+
+describe('hasAmenities', () => {
+  const lamont = { amenities: ['quiet-study', 'printing'] };
+
+  it('needs every requested amenity', () => {
+    expect(hasAmenities(lamont, [])).toBe(true);
+    expect(hasAmenities(lamont, ['quiet-study', 'printing'])).toBe(true);
+    expect(hasAmenities(lamont, ['quiet-study', 'scanning'])).toBe(false);
+  });
+});
@@ -0,0 +1,198 @@
+import { getDistanceMiles, METERS_PER_MILE } from "./libraryUtils";
+import { getEnabledAliases, getRegistryCoords } from "./registry";
+
+/**
+ * Unsaved coords editor changes, in the shape /api/save-coords takes:
+ * - add: new registry entries ({ campus }) keyed by alias, for libraries only in libraries.csv
+ * - coords: new coordinates keyed by alias (dragged or newly placed markers)
+ * - entrances: replacement entrance lists keyed by alias
+ * - footprints: replacement footprint outlines keyed by alias (null clears one)
+ * - remove: aliases whose registry entries should be dropped
+ */
+export const NO_CHANGES = { add: {}, coords: {}, entrances: {}, footprints: {}, remove: [] };
+
+/**
+ * Starting state for editorReducer: no changes, nothing to undo or redo
+ */
+export const INITIAL_EDITOR_STATE = { past: [], present: NO_CHANGES, future: [] };
+
+/**
+ * Copies an object without one key
+ * @param {Object} object - Source object
+ * @param {string} key - Key to leave out
+ * @returns {Object} Copy without the key
+ */
+function omit(object, key) {
+  const { [key]: _omitted, ...rest } = object;
+  return rest;
+}
+
+/**
+ * Applies one edit to a set of changes
+ * @param {Object} changes - Current changes (see NO_CHANGES)
+ * @param {Object} action - `move` (id, coords), `add` (id, campus, coords), `setEntrances` (id, entrances),
+ *   `setFootprint` (id, footprint), `remove` (id) or `restore` (id)
+ * @returns {Object} New changes
+ */
+function applyEdit(changes, action) {
+  const { id } = action;
+  switch (action.type) {
+    case 'move':
+      return {
+        ...changes,
+        coords: { ...changes.coords, [id]: { lat: action.coords.lat, lng: action.coords.lng } },
+        remove: changes.remove.filter(other => other !== id),
+      };
+    case 'add':
+      return {
+        ...changes,
+        add: { ...changes.add, [id]: { campus: action.campus } },
+        coords: { ...changes.coords, [id]: { lat: action.coords.lat, lng: action.coords.lng } },
+      };
+    case 'setEntrances':
+      return { ...changes, entrances: { ...changes.entrances, [id]: action.entrances } };
+    case 'setFootprint':
+      return { ...changes, footprints: { ...changes.footprints, [id]: action.footprint } };
+    case 'remove':
+    case 'restore':
+      return {
+        add: omit(changes.add, id),
+        coords: omit(changes.coords, id),
+        entrances: omit(changes.entrances, id),
+        footprints: omit(changes.footprints, id),
+        remove: [...changes.remove.filter(other => other !== id), ...(action.type === 'remove' ? [id] : [])],
+      };
+    default:
+      return changes;
+  }
+}
+
+/**
+ * Reducer for the coords editor's changes with undo/redo history
+ * Edits (see applyEdit, plus `reset`) are undoable; `saved` clears the history
+ * @param {{past: Array, present: Object, future: Array}} state - Current state
+ * @param {Object} action - Edit, or `undo` / `redo` / `saved`
+ * @returns {{past: Array, present: Object, future: Array}} New state
+ */
+export function editorReducer(state, action) {
+  switch (action.type) {
+    case 'undo':
+      if (state.past.length === 0) return state;
+      return { past: state.past.slice(0, -1), present: state.past.at(-1), future: [state.present, ...state.future] };
+    case 'redo':
+      if (state.future.length === 0) return state;
+      return { past: [...state.past, state.present], present: state.future[0], future: state.future.slice(1) };
+    case 'saved':
+      return INITIAL_EDITOR_STATE;
+    default: {
+      const present = action.type === 'reset' ? NO_CHANGES : applyEdit(state.present, action);
+      if (present === state.present || (!hasChanges(present) && !hasChanges(state.present))) return state;
+      return { past: [...state.past, state.present], present, future: [] };
+    }
+  }
+}
+
+/**
+ * Checks whether there is anything to save
+ * @param {Object} changes - Unsaved changes
+ * @returns {boolean} True if any library was added, moved, placed, reshaped or removed
+ */
+export function hasChanges(changes) {
+  return [changes.add, changes.coords, changes.entrances, changes.footprints].some(edits => Object.keys(edits).length > 0) ||
+    changes.remove.length > 0;
+}
+
+/**
+ * A library's entrances and footprint with unsaved changes applied
+ * @param {Object} registry - Registry contents
+ * @param {Object} changes - Unsaved changes
+ * @param {string} id - Library alias
+ * @returns {{entrances: Array<Object>, footprint: Array<Object> | null}} Current shape
+ */
+export function getEditedShape(registry, changes, id) {
+  const entry = registry[id] ?? {};
+  return {
+    entrances: changes.entrances[id] ?? entry.entrances ?? [],
+    footprint: Object.hasOwn(changes.footprints, id) ? changes.footprints[id] : entry.footprint ?? null,
+  };
+}
+
+/**
+ * Default name for a new entrance: the first unused "Entrance N"
+ * @param {Array<Object>} entrances - The library's current entrances
+ * @returns {string} e.g. "Entrance 2"
+ */
+export function nextEntranceName(entrances) {
+  const names = new Set(entrances.map(entrance => entrance.name));
+  let n = entrances.length + 1;
+  while (names.has(`Entrance ${n}`)) n++;
+  return `Entrance ${n}`;
+}
+
+/**
+ * Coordinates to show on the map: saved ones with the changes applied
+ * @param {Object} registry - Registry contents
+ * @param {Object} changes - Unsaved changes
+ * @returns {Object} Coordinates keyed by alias
+ */
+export function getEditedCoords(registry, changes) {
+  const coords = { ...getRegistryCoords(registry), ...changes.coords };
+  for (const id of changes.remove) delete coords[id];
+  return coords;
+}
+
+/**
+ * Lists every library the editor knows about, with its saved and edited position,
+ * entrance count and whether it has a footprint
+ * Status is 'placed' (has saved coordinates), 'missing' (in the registry without coordinates),
+ * 'orphan' (enabled in the registry but not in libraries.csv) or 'unregistered'
+ * (in libraries.csv but not in the registry; placing it adds a registry entry, and `added` is set)
+ * @param {Object} registry - Registry contents
+ * @param {Array<Object>} libraries - Merged library records from useLibraries
+ * @param {Object} changes - Unsaved changes
+ * @returns {Array<Object>} One row per library, sorted by name
+ */
+export function buildEditorRows(registry, libraries, changes) {
+  const saved = getRegistryCoords(registry);
+  const names = new Map(libraries.map(lib => [lib.Id, lib.Name]));
+  const ids = new Set([...names.keys(), ...getEnabledAliases(registry)]);
+
+  return [...ids].map(id => {
+    const before = saved[id] ?? null;
+    const removed = changes.remove.includes(id);
+    const after = removed ? null : changes.coords[id] ?? before;
+    const shape = getEditedShape(registry, changes, id);
+    const reshaped = Object.hasOwn(changes.entrances, id) || Object.hasOwn(changes.footprints, id);
+    const added = Object.hasOwn(changes.add, id);
+
+    let status = 'placed';
+    if (!Object.hasOwn(registry, id)) status = 'unregistered';
+    else if (!names.has(id)) status = 'orphan';
+    else if (!before) status = 'missing';
+
+    return {
+      id,
+      name: names.get(id) || id,
+      status,
+      before,
+      after,
+      removed,
+      added,
+      entrances: shape.entrances.length,
+      hasFootprint: Boolean(shape.footprint),
+      reshaped,
+      changed: removed || added || reshaped || Object.hasOwn(changes.coords, id),
+      movedMeters: before && after && after !== before ? getDistanceMiles(before, after) * METERS_PER_MILE : null,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Formats how far a marker moved
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "4 m", "1.2 km"
+ */
+export function formatMovedDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+}
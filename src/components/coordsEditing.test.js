@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  NO_CHANGES,
+  INITIAL_EDITOR_STATE,
+  editorReducer,
+  hasChanges,
+  getEditedCoords,
+  getEditedShape,
+  nextEntranceName,
+  buildEditorRows,
+  formatMovedDistance,
+} from './coordsEditing';
+import { registryEntry, manualCoords } from '../../test/helpers';
+
+const registry = {
+  lamont: registryEntry(manualCoords(42.3728, -71.1151)),
+  widener: registryEntry({ lat: 42.3734, lng: -71.1165, source: 'geocoded' }),
+  botany: registryEntry(null),
+  'old-library': registryEntry(manualCoords(42.37, -71.11)),
+  'map-collection': registryEntry(null, { enabled: false }),
+};
+
+const libraries = [
+  { Id: 'lamont', Name: 'Lamont Library' },
+  { Id: 'widener', Name: 'Widener Library' },
+  { Id: 'botany', Name: 'Botany Libraries' },
+  { Id: 'houghton', Name: 'Houghton Library' },
+];
+
+/**
+ * Runs a list of actions through the reducer from the initial state
+ */
+function run(...actions) {
+  return actions.reduce(editorReducer, INITIAL_EDITOR_STATE);
+}
+
+const move = (id, lat, lng) => ({ type: 'move', id, coords: { lat, lng } });
+
+const door = { name: 'Main entrance', lat: 42.3727, lng: -71.1152, accessible: true };
+const footprint = [{ lat: 42.3726, lng: -71.1155 }, { lat: 42.3731, lng: -71.1155 }, { lat: 42.3731, lng: -71.1148 }];
+
+describe('editorReducer', () => {
+  it('records moves, placements and removals', () => {
+    const state = run(move('lamont', 42.373, -71.115), move('botany', 42.378, -71.114), { type: 'remove', id: 'old-library' });
+    expect(state.present).toEqual({
+      ...NO_CHANGES,
+      coords: { lamont: { lat: 42.373, lng: -71.115 }, botany: { lat: 42.378, lng: -71.114 } },
+      remove: ['old-library'],
+    });
+    expect(state.past).toHaveLength(3);
+  });
+
+  it('undoes and redoes each edit', () => {
+    const moved = run(move('lamont', 42.373, -71.115), move('lamont', 42.374, -71.116));
+    const undone = editorReducer(moved, { type: 'undo' });
+    expect(undone.present.coords.lamont).toEqual({ lat: 42.373, lng: -71.115 });
+    expect(editorReducer(undone, { type: 'redo' }).present).toEqual(moved.present);
+
+    const backToStart = editorReducer(undone, { type: 'undo' });
+    expect(backToStart.present).toEqual(NO_CHANGES);
+    expect(editorReducer(backToStart, { type: 'undo' })).toBe(backToStart);
+  });
+
+  it('drops the redo stack after a new edit', () => {
+    const undone = run(move('lamont', 42.373, -71.115), { type: 'undo' });
+    const state = editorReducer(undone, move('widener', 42.374, -71.116));
+    expect(state.future).toEqual([]);
+    expect(editorReducer(state, { type: 'redo' })).toBe(state);
+  });
+
+  it('restores a removed or moved library to its saved position', () => {
+    expect(run({ type: 'remove', id: 'old-library' }, { type: 'restore', id: 'old-library' }).present).toEqual(NO_CHANGES);
+    expect(run(move('lamont', 42.373, -71.115), { type: 'restore', id: 'lamont' }).present).toEqual(NO_CHANGES);
+  });
+
+  it('records entrance and footprint edits, and drops them with the library', () => {
+    const shaped = run({ type: 'setEntrances', id: 'lamont', entrances: [door] }, { type: 'setFootprint', id: 'widener', footprint: null });
+    expect(shaped.present).toEqual({ ...NO_CHANGES, entrances: { lamont: [door] }, footprints: { widener: null } });
+    expect(editorReducer(shaped, { type: 'restore', id: 'lamont' }).present).toEqual({ ...NO_CHANGES, footprints: { widener: null } });
+    expect(editorReducer(shaped, { type: 'remove', id: 'widener' }).present).toEqual({ ...NO_CHANGES, entrances: { lamont: [door] }, remove: ['widener'] });
+  });
+
+  it('adds unregistered libraries where they are placed, and drops them on restore', () => {
+    const added = run({ type: 'add', id: 'houghton', campus: 'cambridge', coords: { lat: 42.3737, lng: -71.1163 } });
+    expect(added.present).toEqual({
+      ...NO_CHANGES,
+      add: { houghton: { campus: 'cambridge' } },
+      coords: { houghton: { lat: 42.3737, lng: -71.1163 } },
+    });
+    expect(editorReducer(added, move('houghton', 42.374, -71.116)).present.add).toEqual({ houghton: { campus: 'cambridge' } });
+    expect(editorReducer(added, { type: 'restore', id: 'houghton' }).present).toEqual(NO_CHANGES);
+  });
+
+  it('makes reset undoable', () => {
+    const state = run(move('lamont', 42.373, -71.115), { type: 'reset' });
+    expect(state.present).toEqual(NO_CHANGES);
+    expect(editorReducer(state, { type: 'undo' }).present.coords.lamont).toEqual({ lat: 42.373, lng: -71.115 });
+  });
+
+  it('ignores edits that change nothing', () => {
+    expect(run({ type: 'reset' })).toBe(INITIAL_EDITOR_STATE);
+    expect(run({ type: 'restore', id: 'lamont' })).toBe(INITIAL_EDITOR_STATE);
+  });
+
+  it('clears the history once saved', () => {
+    expect(run(move('lamont', 42.373, -71.115), { type: 'saved' })).toBe(INITIAL_EDITOR_STATE);
+  });
+});
+
+describe('hasChanges', () => {
+  it('is false only without any edits', () => {
+    expect(hasChanges(NO_CHANGES)).toBe(false);
+    expect(hasChanges({ ...NO_CHANGES, remove: ['old-library'] })).toBe(true);
+    expect(hasChanges({ ...NO_CHANGES, coords: { lamont: { lat: 42.37, lng: -71.11 } } })).toBe(true);
+    expect(hasChanges({ ...NO_CHANGES, footprints: { lamont: null } })).toBe(true);
+    expect(hasChanges({ ...NO_CHANGES, add: { houghton: { campus: 'cambridge' } } })).toBe(true);
+  });
+});
+
+describe('getEditedCoords', () => {
+  it('layers changes over the saved coordinates', () => {
+    const changes = run(move('botany', 42.378, -71.114), { type: 'remove', id: 'old-library' }).present;
+    expect(getEditedCoords(registry, changes)).toEqual({
+      lamont: { lat: 42.3728, lng: -71.1151 },
+      widener: { lat: 42.3734, lng: -71.1165 },
+      botany: { lat: 42.378, lng: -71.114 },
+    });
+  });
+});
+
+describe('getEditedShape', () => {
+  const shaped = { ...registry, lamont: { ...registry.lamont, entrances: [door], footprint } };
+
+  it('uses the saved shape until it is edited', () => {
+    expect(getEditedShape(shaped, NO_CHANGES, 'lamont')).toEqual({ entrances: [door], footprint });
+    expect(getEditedShape(shaped, NO_CHANGES, 'widener')).toEqual({ entrances: [], footprint: null });
+  });
+
+  it('applies edited entrances and cleared footprints', () => {
+    const changes = run({ type: 'setEntrances', id: 'lamont', entrances: [] }, { type: 'setFootprint', id: 'lamont', footprint: null }).present;
+    expect(getEditedShape(shaped, changes, 'lamont')).toEqual({ entrances: [], footprint: null });
+  });
+});
+
+describe('nextEntranceName', () => {
+  it('numbers entrances without reusing a name', () => {
+    expect(nextEntranceName([])).toBe('Entrance 1');
+    expect(nextEntranceName([door])).toBe('Entrance 2');
+    expect(nextEntranceName([door, { ...door, name: 'Entrance 3' }])).toBe('Entrance 4');
+  });
+});
+
+describe('buildEditorRows', () => {
+  it('lists every library with its status, sorted by name', () => {
+    const rows = buildEditorRows(registry, libraries, NO_CHANGES);
+    expect(rows.map(row => [row.id, row.status])).toEqual([
+      ['botany', 'missing'],
+      ['houghton', 'unregistered'],
+      ['lamont', 'placed'],
+      ['old-library', 'orphan'],
+      ['widener', 'placed'],
+    ]);
+    expect(rows.every(row => !row.changed)).toBe(true);
+  });
+
+  it('shows old and new positions and how far markers moved', () => {
+    const changes = run(move('lamont', 42.3737, -71.1151), move('botany', 42.378, -71.114), { type: 'remove', id: 'old-library' }).present;
+    const rows = Object.fromEntries(buildEditorRows(registry, libraries, changes).map(row => [row.id, row]));
+
+    expect(rows.lamont).toMatchObject({ before: { lat: 42.3728, lng: -71.1151 }, after: { lat: 42.3737, lng: -71.1151 }, changed: true });
+    expect(rows.lamont.movedMeters).toBeCloseTo(100, 0);
+    expect(rows.botany).toMatchObject({ status: 'missing', before: null, after: { lat: 42.378, lng: -71.114 }, movedMeters: null });
+    expect(rows['old-library']).toMatchObject({ removed: true, after: null, changed: true });
+    expect(rows.widener).toMatchObject({ changed: false, movedMeters: null });
+  });
+
+  it('flags unregistered libraries that are being added', () => {
+    const changes = run({ type: 'add', id: 'houghton', campus: 'cambridge', coords: { lat: 42.3737, lng: -71.1163 } }).present;
+    const houghton = buildEditorRows(registry, libraries, changes).find(row => row.id === 'houghton');
+    expect(houghton).toMatchObject({ status: 'unregistered', added: true, changed: true, before: null, after: { lat: 42.3737, lng: -71.1163 } });
+  });
+
+  it('counts entrances and flags reshaped libraries', () => {
+    const changes = run({ type: 'setEntrances', id: 'widener', entrances: [door] }, { type: 'setFootprint', id: 'widener', footprint }).present;
+    const widener = buildEditorRows(registry, libraries, changes).find(row => row.id === 'widener');
+    expect(widener).toMatchObject({ entrances: 1, hasFootprint: true, reshaped: true, changed: true, movedMeters: null });
+  });
+});
+
+describe('formatMovedDistance', () => {
+  it.each([
+    [3.6, '4 m'],
+    [999.4, '999 m'],
+    [1234, '1.2 km'],
+  ])('%f → %s', (meters, expected) => {
+    expect(formatMovedDistance(meters)).toBe(expected);
+  });
+});
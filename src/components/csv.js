@@ -0,0 +1,111 @@
+/**
+ * RFC 4180 CSV reading and writing, shared by the app, the coords editor
+ * and scripts/update-hours.mjs so the generated libraries.csv and its
+ * parsers can't drift apart.
+ *
+ * - Fields may be quoted; quotes inside quoted fields are escaped as ""
+ * - Quoted fields may contain commas and line breaks
+ * - Records end with LF or CRLF; a trailing line break is optional
+ * - Writing always quotes every field and uses LF line endings
+ */
+
+/**
+ * Parses CSV text into rows of raw field values
+ * @param {string} csvText - Raw CSV file content
+ * @returns {Array<Array<string>>} One array of fields per record
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCSVRows(csvText) {
+  // Strip a UTF-8 byte order mark if present
+  const text = csvText.charCodeAt(0) === 0xfeff ? csvText.slice(1) : csvText;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteStart = i;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting at offset ${quoteStart}`);
+  }
+
+  // Last record without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parses CSV text into array of objects keyed by the header row
+ * Blank lines are skipped; missing trailing fields become ''
+ * @param {string} csvText - Raw CSV file content
+ * @returns {Array<Object>} Array of objects with named properties
+ */
+export function parseCSV(csvText) {
+  const rows = parseCSVRows(csvText).filter(row => !(row.length === 1 && row[0] === ''));
+  if (rows.length < 2) return [];
+
+  const [headers, ...records] = rows;
+  return records.map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] ?? '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Quotes a single CSV field, escaping embedded quotes
+ * @param {*} value - Field value (null/undefined become '')
+ * @returns {string} Quoted field
+ */
+export function csvField(value) {
+  const str = (value ?? '').toString();
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Serializes objects to CSV text with a header row
+ * @param {Array<string>} headers - Column names, in output order
+ * @param {Array<Object>} records - Objects keyed by column name
+ * @returns {string} CSV text ending with a line break
+ */
+export function formatCSV(headers, records) {
+  const lines = [headers.map(csvField).join(',')];
+  for (const record of records) {
+    lines.push(headers.map(header => csvField(record[header])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,99 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect } from 'vitest';
+import { parseCSVRows, parseCSV, csvField, formatCSV } from './csv';
+
+const librariesCsv = readFileSync(new URL('../../public/libraries.csv', import.meta.url), 'utf-8');
+
+describe('parseCSVRows', () => {
+  it.each([
+    ['a,b,c', [['a', 'b', 'c']]],
+    ['a,b\n1,2\n', [['a', 'b'], ['1', '2']]],
+    ['a,b\r\n1,2\r\n', [['a', 'b'], ['1', '2']]],
+    ['"a","b"', [['a', 'b']]],
+    ['"say ""hi""",x', [['say "hi"', 'x']]],
+    ['"a, b",c', [['a, b', 'c']]],
+    ['"line 1\nline 2",x', [['line 1\nline 2', 'x']]],
+    ['"line 1\r\nline 2",x', [['line 1\r\nline 2', 'x']]],
+    ['a,,c', [['a', '', 'c']]],
+    ['"","",""', [['', '', '']]],
+    ['a,', [['a', '']]],
+    [' a , b ', [[' a ', ' b ']]],
+    ['\uFEFFId,Name', [['Id', 'Name']]],
+    ['', []],
+  ])('%j', (input, expected) => {
+    expect(parseCSVRows(input)).toEqual(expected);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCSVRows('a,"b\n1,2')).toThrow(/Unterminated quoted field starting at offset 2/);
+  });
+});
+
+describe('parseCSV', () => {
+  it('maps records to header names', () => {
+    expect(parseCSV('"Id","Name"\n"lamont","Lamont Library"\n')).toEqual([
+      { Id: 'lamont', Name: 'Lamont Library' },
+    ]);
+  });
+
+  it('fills missing trailing fields and skips blank lines', () => {
+    expect(parseCSV('Id,Name,Description\nlamont,Lamont\n\nwidener,Widener,Main\n')).toEqual([
+      { Id: 'lamont', Name: 'Lamont', Description: '' },
+      { Id: 'widener', Name: 'Widener', Description: 'Main' },
+    ]);
+  });
+
+  it('keeps empty quoted fields that the old regex parsers dropped', () => {
+    expect(parseCSV('"Id","Name","Description"\n"botany","Botany Libraries",""\n')).toEqual([
+      { Id: 'botany', Name: 'Botany Libraries', Description: '' },
+    ]);
+  });
+
+  it('returns nothing for a header-only file', () => {
+    expect(parseCSV('"Id","Name"\n')).toEqual([]);
+  });
+
+  it('reads every library in libraries.csv', () => {
+    const libraries = parseCSV(librariesCsv);
+    expect(libraries).toHaveLength(23);
+    const arboretum = libraries.find(lib => lib.Id === 'arnold-arboretum');
+    expect(arboretum.Description).toBe('Botany, plant sciences, urban forestry, Eastern Asia');
+    expect(arboretum.Address).toBe('125 Arborway, Jamaica Plain, MA 02130');
+  });
+});
+
+describe('csvField', () => {
+  it.each([
+    ['Lamont Library', '"Lamont Library"'],
+    ['Botany, plant sciences', '"Botany, plant sciences"'],
+    ['The "Poetry" Room', '"The ""Poetry"" Room"'],
+    ['two\nlines', '"two\nlines"'],
+    ['', '""'],
+    [undefined, '""'],
+    [null, '""'],
+    [0, '"0"'],
+  ])('%j → %j', (value, expected) => {
+    expect(csvField(value)).toBe(expected);
+  });
+});
+
+describe('round trips', () => {
+  const headers = ['Id', 'Name', 'Description'];
+
+  it.each([
+    [{ Id: 'plain', Name: 'Plain', Description: 'Nothing special' }],
+    [{ Id: 'comma', Name: 'Botany, plant sciences', Description: '' }],
+    [{ Id: 'quotes', Name: 'The "Poetry" Room', Description: '""' }],
+    [{ Id: 'newline', Name: 'Two\nlines', Description: 'Windows\r\nline' }],
+    [{ Id: 'unicode', Name: 'Harvard-Yenching', Description: '哈佛燕京圖書館 | 하버드 옌칭 도서관' }],
+    [{ Id: 'spaces', Name: '  padded  ', Description: ' ' }],
+  ])('%j', (record) => {
+    expect(parseCSV(formatCSV(headers, [record]))).toEqual([record]);
+  });
+
+  it('rewrites libraries.csv byte for byte', () => {
+    const libraries = parseCSV(librariesCsv);
+    const headers = parseCSVRows(librariesCsv)[0];
+    expect(formatCSV(headers, libraries)).toBe(librariesCsv);
+  });
+});
@@ -0,0 +1,196 @@
+import { createContext, useContext, useMemo } from "react";
+import { parseCSV } from "./csv";
+import { toDateKey } from "./libraryUtils";
+import { isValidCoords } from "./registry";
+import { sortAmenities } from "./amenities";
+
+/**
+ * Shared library data, provided once by <LibraryDataProvider>:
+ * - libraries: merged records (CSV row + registry overrides + `hours` map + `coords` + `campus`
+ *   + `entrances` list + `footprint` outline or null + `amenities` ids + `nicknames` list),
+ *   sorted as in the CSV; disabled registry entries are left out
+ * - registry: raw library-registry.json contents, keyed by Id
+ * - loading / error: load state (error is set if the CSV or registry failed to load)
+ * - warnings: validation problems found while joining the sources
+ * - updatedAt: when libraries.csv was last published (Date), or null if unknown
+ * - meta: hours-meta.json contents (fetch time, covered week, source counts), or null
+ * - coverage: first and last date the loaded hours cover, or null if unknown
+ * - reload(): re-fetches everything, resolves once the new data is in place
+ */
+export const LibraryDataContext = createContext(null);
+
+/**
+ * Joins CSV rows, registry entries and date-keyed hours into one record per library
+ * @param {Array<Object>} rows - Parsed libraries.csv rows
+ * @param {Object} registry - library-registry.json contents, keyed by Id
+ * @param {Object} hoursById - hours.json contents, keyed by Id
+ * @returns {{libraries: Array<Object>, warnings: Array<string>}} Merged records and validation warnings
+ */
+export function mergeLibraryData(rows, registry, hoursById) {
+  const warnings = [];
+  const libraries = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    if (!row.Id) {
+      warnings.push(`Skipping library without an Id: ${row.Name || '(unnamed)'}`);
+      continue;
+    }
+    if (seen.has(row.Id)) {
+      warnings.push(`Duplicate library Id "${row.Id}", keeping the first row`);
+      continue;
+    }
+    seen.add(row.Id);
+
+    const entry = registry[row.Id];
+    if (entry && !entry.enabled) continue;
+
+    const record = { ...row, ...entry?.overrides };
+    if (!record.Name) warnings.push(`Library "${row.Id}" has no Name`);
+
+    if (!entry) {
+      warnings.push(`Library "${row.Id}" is not in the registry`);
+    } else if (!entry.coords) {
+      warnings.push(`Library "${row.Id}" has no coordinates`);
+    } else if (!isValidCoords(entry.coords)) {
+      warnings.push(`Library "${row.Id}" has invalid coordinates`);
+    }
+
+    // Amenities come from the registry, and an accessible entrance makes the library accessible
+    const entrances = (entry?.entrances ?? []).filter(isValidCoords);
+    const amenities = Array.isArray(entry?.amenities) ? entry.amenities : [];
+    const hasAccessibleEntrance = entrances.some(entrance => entrance.accessible);
+
+    libraries.push({
+      ...record,
+      hours: hoursById[row.Id],
+      coords: isValidCoords(entry?.coords) ? { lat: entry.coords.lat, lng: entry.coords.lng } : null,
+      campus: entry?.campus ?? null,
+      entrances,
+      footprint: entry?.footprint?.length >= 3 && entry.footprint.every(isValidCoords) ? entry.footprint : null,
+      amenities: sortAmenities(hasAccessibleEntrance ? [...amenities, 'accessible'] : amenities),
+      nicknames: Array.isArray(entry?.nicknames) ? entry.nicknames : [],
+    });
+  }
+
+  for (const [id, entry] of Object.entries(registry)) {
+    if (entry.enabled && !seen.has(id)) warnings.push(`Registry library "${id}" is missing from libraries.csv`);
+  }
+
+  return { libraries, warnings };
+}
+
+/**
+ * Picks the point to send people to: the library's first listed entrance, else its marker
+ * @param {Object} library - Merged library record
+ * @returns {{lat: number, lng: number, name?: string} | null} Entrance or coordinates, or null if unplaced
+ */
+export function getDirectionsTarget(library) {
+  return library.entrances?.[0] ?? library.coords ?? null;
+}
+
+/**
+ * Works out which dates the loaded hours describe
+ * libraries.csv only holds the fetched week; hours.json extends through coverageEnd
+ * @param {Object | null} meta - hours-meta.json contents
+ * @param {Object} hoursById - hours.json contents, keyed by Id
+ * @returns {{start: string, end: string} | null} Inclusive date keys, or null without metadata
+ */
+export function getHoursCoverage(meta, hoursById) {
+  if (!meta?.weekStart) return null;
+  const hasDatedHours = Object.keys(hoursById).length > 0;
+  const end = hasDatedHours && meta.coverageEnd ? meta.coverageEnd : meta.weekEnd;
+  return { start: meta.weekStart, end };
+}
+
+/**
+ * Checks whether the loaded hours describe a given moment
+ * @param {{start: string, end: string} | null} coverage - From getHoursCoverage
+ * @param {Date} time - Moment to check (converted to EST)
+ * @returns {boolean} True if the hours are known to be out of date for that day
+ */
+export function isOutsideCoverage(coverage, time) {
+  if (!coverage) return false;
+  const estTime = new Date(time.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const dateKey = toDateKey(estTime);
+  return dateKey < coverage.start || dateKey > coverage.end;
+}
+
+/**
+ * Fetches a file and checks the response status
+ * @param {string} url - Path under public/
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchOk(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+  return res;
+}
+
+/**
+ * Reads the publish time of a response
+ * Cached responses keep their original headers, so this still works offline
+ * @param {Response} res - Fetched file
+ * @returns {Date | null} Last-Modified (or Date) header, or null if missing
+ */
+function getResponseDate(res) {
+  const header = res.headers.get('Last-Modified') || res.headers.get('Date');
+  const date = header ? new Date(header) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+/**
+ * Loads libraries.csv, library-registry.json, hours.json and hours-meta.json
+ * hours.json is optional; without it, hours fall back to the CSV weekday columns
+ * hours-meta.json is optional; without it, data freshness is unknown
+ * @returns {Promise<{rows: Array<Object>, registry: Object, hoursById: Object, meta: Object | null, loadWarnings: Array<string>, updatedAt: Date | null}>}
+ */
+export async function fetchLibraryData() {
+  const loadWarnings = [];
+  let updatedAt = null;
+  const [rows, registry, hoursById, meta] = await Promise.all([
+    fetchOk('/libraries.csv')
+      .then(res => {
+        updatedAt = getResponseDate(res);
+        return res.text();
+      })
+      .then(parseCSV),
+    fetchOk('/library-registry.json').then(res => res.json()),
+    fetchOk('/hours.json')
+      .then(res => res.json())
+      .catch(err => {
+        loadWarnings.push(`Dated hours unavailable, using weekly CSV hours (${err.message})`);
+        return {};
+      }),
+    fetchOk('/hours-meta.json')
+      .then(res => res.json())
+      .catch(err => {
+        loadWarnings.push(`Data freshness unknown (${err.message})`);
+        return null;
+      }),
+  ]);
+  return { rows, registry, hoursById, meta, loadWarnings, updatedAt };
+}
+
+/**
+ * Returns the shared library data
+ * @returns {Object} See LibraryDataContext
+ */
+export function useLibraries() {
+  const context = useContext(LibraryDataContext);
+  if (!context) throw new Error('useLibraries must be used inside <LibraryDataProvider>');
+  return context;
+}
+
+/**
+ * Returns one merged library record by Id
+ * @param {string | undefined} id - Library Id (Drupal alias)
+ * @returns {{library: Object | null, loading: boolean, error: Error | null}} Library, or null if unknown
+ */
+export function useLibrary(id) {
+  const { libraries, loading, error } = useLibraries();
+  const library = useMemo(() => (
+    id ? libraries.find(lib => lib.Id === id) ?? null : null
+  ), [libraries, id]);
+  return { library, loading, error };
+}
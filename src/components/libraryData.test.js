@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { mergeLibraryData, getDirectionsTarget, getHoursCoverage, isOutsideCoverage } from './libraryData';
+import { registryEntry, manualCoords } from '../../test/helpers';
+
+const rows = [
+  { Id: 'lamont', Name: 'Lamont Library', Monday: '24 Hours' },
+  { Id: 'widener', Name: 'Widener Library', Monday: '9am - 10pm' },
+];
+
+/**
+ * Builds an enabled registry entry placed at the given position
+ */
+function entry(lat, lng, extra = {}) {
+  return registryEntry(manualCoords(lat, lng), extra);
+}
+
+const registry = {
+  lamont: entry(42.3728, -71.1151),
+  widener: entry(42.3734, -71.1165),
+};
+
+describe('mergeLibraryData', () => {
+  it('joins rows, registry entries and dated hours into one record per library', () => {
+    const hours = { lamont: { '2025-01-27': { kind: '24h', sessions: [{ open: 0, close: 1440 }], note: '24 Hours' } } };
+    const { libraries, warnings } = mergeLibraryData(rows, registry, hours);
+    expect(warnings).toEqual([]);
+    expect(libraries).toEqual([
+      { ...rows[0], hours: hours.lamont, coords: { lat: 42.3728, lng: -71.1151 }, campus: 'cambridge', entrances: [], footprint: null, amenities: [], nicknames: [] },
+      { ...rows[1], hours: undefined, coords: { lat: 42.3734, lng: -71.1165 }, campus: 'cambridge', entrances: [], footprint: null, amenities: [], nicknames: [] },
+    ]);
+  });
+
+  it('keeps the CSV order', () => {
+    const { libraries } = mergeLibraryData([...rows].reverse(), registry, {});
+    expect(libraries.map(lib => lib.Id)).toEqual(['widener', 'lamont']);
+  });
+
+  it('carries over entrances and footprints', () => {
+    const door = { name: 'Main entrance', lat: 42.3727, lng: -71.1152, accessible: true };
+    const footprint = [{ lat: 42.3726, lng: -71.1155 }, { lat: 42.3731, lng: -71.1155 }, { lat: 42.3731, lng: -71.1148 }];
+    const shaped = { ...registry, lamont: entry(42.3728, -71.1151, { entrances: [door, { name: 'Broken' }], footprint }) };
+    const { libraries } = mergeLibraryData(rows, { ...shaped, widener: entry(42.3734, -71.1165, { footprint: footprint.slice(0, 2) }) }, {});
+    expect(libraries[0]).toMatchObject({ entrances: [door], footprint });
+    expect(libraries[1]).toMatchObject({ entrances: [], footprint: null });
+  });
+
+  it('reads amenities from the registry only, in catalogue order', () => {
+    // A stray Amenities column from an old libraries.csv is ignored
+    const withColumn = [{ ...rows[0], Amenities: 'printing' }, rows[1]];
+    const curated = { ...registry, widener: entry(42.3734, -71.1165, { amenities: ['printing', 'quiet-study', 'sauna'] }) };
+    const { libraries } = mergeLibraryData(withColumn, curated, {});
+    expect(libraries.map(lib => lib.amenities)).toEqual([[], ['quiet-study', 'printing']]);
+  });
+
+  it('marks libraries with an accessible entrance as accessible', () => {
+    const door = { name: 'Main entrance', lat: 42.3727, lng: -71.1152, accessible: true };
+    const { libraries } = mergeLibraryData(rows, { ...registry, lamont: entry(42.3728, -71.1151, { entrances: [door] }) }, {});
+    expect(libraries[0].amenities).toEqual(['accessible']);
+    expect(libraries[1].amenities).toEqual([]);
+  });
+
+  it('applies registry display overrides', () => {
+    const overridden = { ...registry, lamont: entry(42.3728, -71.1151, { overrides: { Name: 'Lamont' } }) };
+    const { libraries } = mergeLibraryData(rows, overridden, {});
+    expect(libraries[0].Name).toBe('Lamont');
+  });
+
+  it('leaves out disabled libraries', () => {
+    const disabled = { ...registry, widener: entry(42.3734, -71.1165, { enabled: false }) };
+    const { libraries, warnings } = mergeLibraryData(rows, disabled, {});
+    expect(libraries.map(lib => lib.Id)).toEqual(['lamont']);
+    expect(warnings).toEqual([]);
+  });
+
+  it('skips rows without an Id', () => {
+    const { libraries, warnings } = mergeLibraryData([{ Id: '', Name: 'Mystery' }, ...rows], registry, {});
+    expect(libraries).toHaveLength(2);
+    expect(warnings).toEqual(['Skipping library without an Id: Mystery']);
+  });
+
+  it('keeps the first of duplicate ids', () => {
+    const { libraries, warnings } = mergeLibraryData([...rows, { Id: 'lamont', Name: 'Copy' }], registry, {});
+    expect(libraries.filter(lib => lib.Id === 'lamont')).toEqual([expect.objectContaining({ Name: 'Lamont Library' })]);
+    expect(warnings).toEqual(['Duplicate library Id "lamont", keeping the first row']);
+  });
+
+  it('warns about a missing Name', () => {
+    const { warnings } = mergeLibraryData([{ Id: 'lamont', Name: '' }], { lamont: registry.lamont }, {});
+    expect(warnings).toEqual(['Library "lamont" has no Name']);
+  });
+
+  it.each([
+    [undefined, 'Library "lamont" is not in the registry'],
+    [entry(42.37, -71.11, { coords: null }), 'Library "lamont" has no coordinates'],
+    [entry('42.37', -71.11), 'Library "lamont" has invalid coordinates'],
+    [entry(142.37, -71.11), 'Library "lamont" has invalid coordinates'],
+  ])('leaves coords null for %j', (lamontEntry, warning) => {
+    const { libraries, warnings } = mergeLibraryData([rows[0]], lamontEntry ? { lamont: lamontEntry } : {}, {});
+    expect(libraries[0].coords).toBeNull();
+    expect(warnings).toEqual([warning]);
+  });
+
+  it('warns about enabled registry libraries missing from the CSV', () => {
+    const { warnings } = mergeLibraryData(rows, { ...registry, 'map-collection': entry(42.37, -71.11) }, {});
+    expect(warnings).toEqual(['Registry library "map-collection" is missing from libraries.csv']);
+  });
+});
+
+describe('getDirectionsTarget', () => {
+  const coords = { lat: 42.3734, lng: -71.1166 };
+  const door = { name: 'Massachusetts Ave entrance', lat: 42.3729, lng: -71.1167, accessible: true };
+
+  it('prefers the first entrance over the marker', () => {
+    expect(getDirectionsTarget({ coords, entrances: [door, { ...door, name: 'Side' }] })).toBe(door);
+    expect(getDirectionsTarget({ coords, entrances: [] })).toBe(coords);
+    expect(getDirectionsTarget({ coords: null, entrances: [] })).toBeNull();
+  });
+});
+
+describe('getHoursCoverage', () => {
+  const meta = { weekStart: '2025-01-26', weekEnd: '2025-02-01', coverageEnd: '2025-02-22' };
+
+  it('extends through hours.json when it loaded', () => {
+    expect(getHoursCoverage(meta, { lamont: {} })).toEqual({ start: '2025-01-26', end: '2025-02-22' });
+  });
+
+  it('covers only the CSV week without hours.json', () => {
+    expect(getHoursCoverage(meta, {})).toEqual({ start: '2025-01-26', end: '2025-02-01' });
+  });
+
+  it('is unknown without metadata', () => {
+    expect(getHoursCoverage(null, { lamont: {} })).toBeNull();
+    expect(getHoursCoverage({ weekStart: null }, {})).toBeNull();
+  });
+});
+
+describe('isOutsideCoverage', () => {
+  const coverage = { start: '2025-01-26', end: '2025-02-01' };
+
+  it.each([
+    ['2025-01-26T05:00:00Z', false], // Sunday midnight EST, first covered minute
+    ['2025-01-26T04:59:00Z', true], // Saturday 11:59pm EST, the week before
+    ['2025-02-02T04:59:00Z', false], // Saturday 11:59pm EST, last covered minute
+    ['2025-02-02T05:00:00Z', true],
+    ['2025-03-10T12:00:00Z', true],
+  ])('%s → %s', (iso, expected) => {
+    expect(isOutsideCoverage(coverage, new Date(iso))).toBe(expected);
+  });
+
+  it('never warns when coverage is unknown', () => {
+    expect(isOutsideCoverage(null, new Date('2030-01-01T12:00:00Z'))).toBe(false);
+  });
+});
@@ -1,5 +1,13 @@
 /**
- * Hours formats handled:
+ * Day schedules are structured objects: { kind, sessions, note }
+ * - kind: 'open' | 'closed' | '24h' | 'by-appointment' | 'virtual'
+ * - sessions: Array<{open, close}> in minutes since midnight (empty unless physically open)
+ * - note: Original hours text from LibCal, for display
+ *
+ * hours.json provides these directly. The free-text parser below is only a
+ * fallback for CSV weekday columns and older string-valued hours.json files.
+ *
+ * Free-text hours formats handled:
  * - "Closed" - Library is closed for the day
  * - "24 Hours" - Open all day
  * - "10am - 4pm" - Standard single session
@@ -7,17 +15,78 @@
  * - "Open from 10am" - Opens at time, closes at midnight
  * - "Open until 10pm" - Opens at midnight, closes at time
  * - "Gallery 9am - 5pm" - Prefixed text stripped, parsed as "9am - 5pm"
+ * - "Closed due to snow" - Closed, text kept as note
+ * - "Virtual Services 9am-5pm" - Virtual only, not open for visits
+ * - "By appointment" - By appointment only
  * - Empty/undefined - Treated as closed
  */
 
 export const DAY_COLUMNS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
+// Short day names, indexed like Date#getDay
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Formats a date as an ISO calendar date key using its local fields
+ * @param {Date} date - Date already converted to EST
+ * @returns {string} Date key (e.g., "2025-01-27")
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats an ISO date key for display
+ * @param {string} dateKey - Date key (e.g., "2025-01-27")
+ * @returns {string} Short date (e.g., "Jan 27")
+ */
+export function formatDateKey(dateKey) {
+  // Noon UTC keeps the calendar day stable in any viewer time zone
+  return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Formats a moment as a calendar date in EST
+ * @param {Date} date - Any time
+ * @returns {string} Date with year (e.g., "Jan 26, 2025")
+ */
+export function formatShortDate(date) {
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'America/New_York'
+  });
+}
+
+/**
+ * Looks up a library's structured schedule for a calendar date
+ * Uses the date-keyed hours from hours.json when available, otherwise
+ * falls back to parsing the weekday column from libraries.csv
+ * @param {Object} library - Library object with day columns and optional `hours` map
+ * @param {Date} date - Date already converted to EST
+ * @returns {{kind: string, sessions: Array<{open: number, close: number}>, note: string}} Day schedule
+ */
+export function getDaySchedule(library, date) {
+  const dated = library.hours?.[toDateKey(date)];
+  if (dated && typeof dated === 'object') return dated;
+  if (typeof dated === 'string') return parseHoursText(dated);
+  return parseHoursText(library[DAY_COLUMNS[date.getDay()]]);
+}
+
 /**
  * Parses a time string like "10am" or "4pm" into minutes since midnight
  * @param {string} timeStr - Time string (e.g., "10am", "4pm", "12pm")
  * @returns {number} Minutes since midnight (e.g., "2pm" = 840)
  */
-function parseTimeToMinutes(timeStr) {
+export function parseTimeToMinutes(timeStr) {
   const cleaned = timeStr.toLowerCase().trim();
   const match = cleaned.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
   if (!match) return null;
@@ -39,7 +108,7 @@ function parseTimeToMinutes(timeStr) {
  * @param {string} hoursString - Raw hours string from CSV
  * @returns {Array<{open: number, close: number}>} Array of sessions in minutes
  */
-function parseHoursSessions(hoursString) {
+export function parseHoursSessions(hoursString) {
   if (!hoursString) return [];
 
   const normalized = hoursString.trim().toLowerCase();
@@ -50,7 +119,7 @@ function parseHoursSessions(hoursString) {
   const openFromMatch = hoursString.match(/open from (\d{1,2}(?::\d{2})?\s*(?:am|pm))/i);
   if (openFromMatch) {
     const openTime = parseTimeToMinutes(openFromMatch[1]);
-    if (openTime !== null) return [{ open: openTime, close: 1439 }]; // Until 11:59pm
+    if (openTime !== null) return [{ open: openTime, close: 1440 }]; // Until midnight
   }
 
   // Handle "Open until Xpm" format
@@ -82,31 +151,275 @@ function parseHoursSessions(hoursString) {
 }
 
 /**
- * Determines library status based on current EST time
- * @param {Object} library - Library object with day columns
+ * Classifies a free-text hours string into a structured day schedule
+ * Fallback for data that doesn't come with structured sessions
+ * @param {string} hoursString - Raw hours string from CSV
+ * @returns {{kind: string, sessions: Array<{open: number, close: number}>, note: string}} Day schedule
+ */
+export function parseHoursText(hoursString) {
+  const note = (hoursString || '').trim();
+  const normalized = note.toLowerCase();
+
+  if (normalized === '' || normalized.startsWith('closed')) {
+    return { kind: 'closed', sessions: [], note };
+  }
+  if (normalized === '24 hours') {
+    return { kind: '24h', sessions: [{ open: 0, close: 1440 }], note };
+  }
+  if (normalized.includes('virtual')) {
+    return { kind: 'virtual', sessions: [], note };
+  }
+  if (normalized.includes('appointment')) {
+    return { kind: 'by-appointment', sessions: [], note };
+  }
+
+  const sessions = parseHoursSessions(note);
+  return { kind: sessions.length > 0 ? 'open' : 'closed', sessions, note };
+}
+
+/**
+ * Formats minutes since midnight as a compact time (e.g., 540 = "9am", 945 = "3:45pm")
+ * @param {number} minutes - Minutes since midnight (1440 = midnight at end of day)
+ * @returns {string} Formatted time
+ */
+export function formatMinutes(minutes) {
+  const hours24 = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  const period = hours24 < 12 ? 'am' : 'pm';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return mins === 0 ? `${hours12}${period}` : `${hours12}:${String(mins).padStart(2, '0')}${period}`;
+}
+
+/**
+ * Formats a day schedule for display
+ * @param {{kind: string, sessions: Array<{open: number, close: number}>, note: string}} schedule - Day schedule
+ * @param {string} separator - Separator between multiple sessions
+ * @returns {string} Display text (e.g., "9am - 1pm, 2pm - 5pm", "Closed due to snow")
+ */
+export function formatSchedule(schedule, separator) {
+  switch (schedule.kind) {
+    case 'open':
+      return schedule.sessions
+        .map(({ open, close }) => `${formatMinutes(open)} - ${formatMinutes(close)}`)
+        .join(separator);
+    case '24h':
+      return '24 Hours';
+    case 'by-appointment':
+      return schedule.note || 'By Appointment';
+    case 'virtual':
+      return schedule.note || 'Virtual Only';
+    case 'closed':
+    default:
+      return schedule.note && schedule.note.toLowerCase() !== 'closed' ? schedule.note : 'Closed';
+  }
+}
+
+// Default for how many minutes before closing a library counts as "closing soon"
+export const CLOSING_SOON_MINUTES = 60;
+
+// How many days ahead to search for the next opening
+const LOOKAHEAD_DAYS = 7;
+
+/**
+ * Returns sessions from yesterday through `daysAhead` days from now on one
+ * timeline, merging sessions that continue across midnight
+ * Times are minutes relative to today's midnight (yesterday is negative,
+ * tomorrow is 1440+), so "Open from 10am" Thursday followed by
+ * "Open until 2am" Friday becomes one session ending at 2am
+ * @param {Object} library - Library object with day columns and optional `hours` map
+ * @param {Date} estTime - Time already converted to EST
+ * @param {number} daysAhead - Number of days after today to include
+ * @returns {Array<{open: number, close: number}>} Merged sessions, sorted by open time
+ */
+function getContinuousSessions(library, estTime, daysAhead) {
+  const timeline = [];
+
+  for (let dayOffset = -1; dayOffset <= daysAhead; dayOffset++) {
+    const date = new Date(estTime);
+    date.setDate(estTime.getDate() + dayOffset);
+    for (const { open, close } of getDaySchedule(library, date).sessions) {
+      timeline.push({ open: open + dayOffset * 1440, close: close + dayOffset * 1440 });
+    }
+  }
+
+  timeline.sort((a, b) => a.open - b.open);
+
+  const merged = [];
+  for (const session of timeline) {
+    const last = merged[merged.length - 1];
+    if (last && session.open <= last.close) {
+      last.close = Math.max(last.close, session.close);
+    } else {
+      merged.push({ ...session });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Describes a time on the today-relative timeline (e.g., "at 10pm", "tomorrow at 9am", "Mon at 9am")
+ * @param {number} minutes - Minutes relative to today's midnight
+ * @param {number} todayIndex - Today's weekday index in EST
+ * @param {boolean} isClosing - Closing times on a day boundary belong to the day that ends
+ * @returns {string} Human-readable time
+ */
+function describeTimelineMinutes(minutes, todayIndex, isClosing) {
+  const dayOffset = isClosing ? Math.ceil(minutes / 1440) - 1 : Math.floor(minutes / 1440);
+  const dayMinutes = minutes - dayOffset * 1440;
+  const time = dayMinutes % 1440 === 0 ? 'midnight' : formatMinutes(dayMinutes);
+  if (dayOffset === 0) return `at ${time}`;
+  if (dayOffset === 1) return `tomorrow at ${time}`;
+  return `${DAY_LABELS[(todayIndex + dayOffset) % 7]} at ${time}`;
+}
+
+/**
+ * Determines library status and when it next changes
+ * Sessions continuing past midnight count as one, so "closing" is only
+ * reported when the library really closes within the threshold
+ * @param {Object} library - Library object with day columns and optional `hours` map
  * @param {Date} currentTime - Current time (will be converted to EST)
- * @returns {'open' | 'closing' | 'closed'} Status for indicator color
+ * @param {Object} [options]
+ * @param {number} [options.closingSoonMinutes] - Minutes before close that count as "closing"
+ * @returns {{status: 'open' | 'closing' | 'closed', minutesUntilChange: number | null, label: string}}
+ *   Status, minutes until it next changes (null if no change is known), and display text
+ *   (e.g., "Closes in 42 min", "Opens tomorrow at 9am")
  */
-export function getLibraryStatus(library, currentTime) {
+export function getLibraryStatusDetails(library, currentTime, { closingSoonMinutes = CLOSING_SOON_MINUTES } = {}) {
   // Convert to EST
   const estTime = new Date(currentTime.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const dayIndex = estTime.getDay();
-  const hoursString = library[DAY_COLUMNS[dayIndex]];
   const currentMinutes = estTime.getHours() * 60 + estTime.getMinutes();
+  const todayIndex = estTime.getDay();
+  const sessions = getContinuousSessions(library, estTime, LOOKAHEAD_DAYS);
+  const horizon = (LOOKAHEAD_DAYS + 1) * 1440;
 
-  const sessions = parseHoursSessions(hoursString);
-  if (sessions.length === 0) return 'closed';
-
-  // Check if currently within any session
-  for (const session of sessions) {
-    if (currentMinutes >= session.open && currentMinutes < session.close) {
-      // Within this session - check if closing soon (within 60 min)
-      if (session.close - currentMinutes <= 60) {
-        return 'closing';
-      }
-      return 'open';
+  const current = sessions.find(s => currentMinutes >= s.open && currentMinutes < s.close);
+  if (current) {
+    const remaining = current.close - currentMinutes;
+    const status = remaining <= closingSoonMinutes ? 'closing' : 'open';
+    if (current.close >= horizon) {
+      return { status, minutesUntilChange: null, label: 'Open 24 hours' };
     }
+    const label = remaining < 60
+      ? `Closes in ${remaining} min`
+      : `Closes ${describeTimelineMinutes(current.close, todayIndex, true)}`;
+    return { status, minutesUntilChange: remaining, label };
   }
 
-  return 'closed';
+  const next = sessions.find(s => s.open > currentMinutes);
+  if (!next) {
+    return { status: 'closed', minutesUntilChange: null, label: 'No upcoming hours' };
+  }
+  const until = next.open - currentMinutes;
+  const label = until < 60
+    ? `Opens in ${until} min`
+    : `Opens ${describeTimelineMinutes(next.open, todayIndex, false)}`;
+  return { status: 'closed', minutesUntilChange: until, label };
+}
+
+/**
+ * Determines library status based on current EST time
+ * @param {Object} library - Library object with day columns and optional `hours` map
+ * @param {Date} currentTime - Current time (will be converted to EST)
+ * @param {Object} [options] - See getLibraryStatusDetails
+ * @returns {'open' | 'closing' | 'closed'} Status for indicator color
+ */
+export function getLibraryStatus(library, currentTime, options) {
+  return getLibraryStatusDetails(library, currentTime, options).status;
+}
+
+/**
+ * Returns minutes until the library's current session ends
+ * @param {Object} library - Library object with day columns and optional `hours` map
+ * @param {Date} currentTime - Current time (will be converted to EST)
+ * @returns {number | null} Minutes until close, or null if currently closed
+ */
+export function getMinutesUntilClose(library, currentTime) {
+  const { status, minutesUntilChange } = getLibraryStatusDetails(library, currentTime);
+  if (status === 'closed') return null;
+  return minutesUntilChange ?? Infinity;
+}
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+export const METERS_PER_MILE = 1609.344;
+
+// Whether the browser can report the user's position (false outside browsers)
+export const GEOLOCATION_SUPPORTED = typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lng: number}} from - Start coordinates
+ * @param {{lat: number, lng: number}} to - End coordinates
+ * @returns {number} Distance in miles
+ */
+export function getDistanceMiles(from, to) {
+  const toRadians = (deg) => deg * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Formats a distance in miles for display
+ * @param {number} miles - Distance in miles
+ * @returns {string} e.g. "0.3 mi", "12 mi"
+ */
+export function formatDistance(miles) {
+  if (miles < 10) return `${miles.toFixed(1)} mi`;
+  return `${Math.round(miles)} mi`;
+}
+
+/**
+ * Formats a time as a datetime-local input value in EST
+ * @param {Date} time - Any time
+ * @returns {string} Value like "2025-01-27T21:00"
+ */
+export function toEasternInputValue(time) {
+  const estTime = new Date(time.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const hours = String(estTime.getHours()).padStart(2, '0');
+  const minutes = String(estTime.getMinutes()).padStart(2, '0');
+  return `${toDateKey(estTime)}T${hours}:${minutes}`;
+}
+
+// Reads the New York wall-clock fields of an instant, whatever the viewer's zone
+const EASTERN_PARTS = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+});
+
+/**
+ * How far New York wall-clock time is ahead of UTC at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @returns {number} Offset in milliseconds (negative, e.g. -5 hours in winter)
+ */
+function getEasternOffset(instant) {
+  const parts = Object.fromEntries(EASTERN_PARTS.formatToParts(instant).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Parses a datetime-local input value as an EST wall-clock time
+ * @param {string} value - Value like "2025-01-27T21:00"
+ * @returns {Date | null} The matching instant, or null if the value is empty/invalid
+ */
+export function fromEasternInputValue(value) {
+  const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  // Treat the value as UTC, shift by New York's offset there, then correct once more
+  // in case that shift crossed a DST change
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = wallClock - getEasternOffset(wallClock);
+  return new Date(wallClock - getEasternOffset(guess));
 }
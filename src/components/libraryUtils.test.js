@@ -0,0 +1,323 @@
+import { readFileSync } from 'fs';
+import process from 'process';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  DAY_COLUMNS,
+  formatDateKey,
+  formatShortDate,
+  parseTimeToMinutes,
+  parseHoursSessions,
+  parseHoursText,
+  formatMinutes,
+  formatSchedule,
+  getDaySchedule,
+  getLibraryStatus,
+  getLibraryStatusDetails,
+  getMinutesUntilClose,
+  getDistanceMiles,
+  formatDistance,
+  toDateKey,
+  toEasternInputValue,
+  fromEasternInputValue,
+} from './libraryUtils';
+import { parseCSV } from './csv';
+
+const csvText = readFileSync(new URL('../../public/libraries.csv', import.meta.url), 'utf-8');
+const csvLibraries = parseCSV(csvText);
+const lamont = csvLibraries.find(lib => lib.Id === 'lamont');
+
+/**
+ * Builds a library whose every weekday has the same hours string
+ */
+function everyDay(hoursString) {
+  return Object.fromEntries(DAY_COLUMNS.map(day => [day, hoursString]));
+}
+
+/**
+ * Instant for a New York wall-clock time (e.g., "2025-01-28T09:30")
+ */
+function eastern(value) {
+  return fromEasternInputValue(value);
+}
+
+describe('parseTimeToMinutes', () => {
+  it.each([
+    ['12am', 0],
+    ['9am', 540],
+    ['9:00am', 540],
+    ['10am', 600],
+    ['12pm', 720],
+    ['3:45pm', 945],
+    ['8:30am', 510],
+    ['11pm', 1380],
+    [' 4 PM ', 960],
+  ])('%s → %i', (input, expected) => {
+    expect(parseTimeToMinutes(input)).toBe(expected);
+  });
+
+  it.each(['noon', '25', '9', ''])('rejects %j', (input) => {
+    expect(parseTimeToMinutes(input)).toBeNull();
+  });
+});
+
+describe('parseHoursSessions', () => {
+  it.each([
+    ['10am - 3:45pm', [{ open: 600, close: 945 }]],
+    ['9am - 1pm. 2pm - 5pm', [{ open: 540, close: 780 }, { open: 840, close: 1020 }]],
+    ['9am - 12am', [{ open: 540, close: 1440 }]],
+    ['12am - 10pm', [{ open: 0, close: 1320 }]],
+    ['24 Hours', [{ open: 0, close: 1440 }]],
+    ['Open from 9:00am - 24 hours', [{ open: 540, close: 1440 }]],
+    ['Open until 10pm', [{ open: 0, close: 1320 }]],
+    ['Gallery 9am - 5pm', [{ open: 540, close: 1020 }]],
+    ['Closed', []],
+    ['', []],
+    [undefined, []],
+  ])('%j', (input, expected) => {
+    expect(parseHoursSessions(input)).toEqual(expected);
+  });
+});
+
+describe('parseHoursText', () => {
+  it.each([
+    ['Closed', 'closed', []],
+    ['Closed due to snow', 'closed', []],
+    ['Closed due to winter weather, virtual services available', 'closed', []],
+    ['Virtual Services 9am-5pm', 'virtual', []],
+    ['By appointment only', 'by-appointment', []],
+    ['24 Hours', '24h', [{ open: 0, close: 1440 }]],
+    ['Open from 9:00am - 24 hours', 'open', [{ open: 540, close: 1440 }]],
+    ['8:30am - 11pm', 'open', [{ open: 510, close: 1380 }]],
+    ['', 'closed', []],
+  ])('%j → %s', (input, kind, sessions) => {
+    expect(parseHoursText(input)).toEqual({ kind, sessions, note: input });
+  });
+
+  it('keeps every hours string in libraries.csv parseable', () => {
+    const unparsed = [];
+    for (const lib of csvLibraries) {
+      for (const day of DAY_COLUMNS) {
+        const text = lib[day];
+        const { kind } = parseHoursText(text);
+        // Anything that mentions a time but came out closed lost information
+        if (kind === 'closed' && /\d/.test(text) && !/^closed/i.test(text)) {
+          unparsed.push(`${lib.Id} ${day}: ${text}`);
+        }
+      }
+    }
+    expect(unparsed).toEqual([]);
+  });
+});
+
+describe('formatMinutes / formatSchedule', () => {
+  it.each([
+    [0, '12am'],
+    [540, '9am'],
+    [945, '3:45pm'],
+    [720, '12pm'],
+    [1440, '12am'],
+  ])('%i → %s', (minutes, expected) => {
+    expect(formatMinutes(minutes)).toBe(expected);
+  });
+
+  it('joins sessions with the separator', () => {
+    expect(formatSchedule(parseHoursText('9am - 1pm. 2pm - 5pm'), ', ')).toBe('9am - 1pm, 2pm - 5pm');
+  });
+
+  it('shows closure notes but collapses a plain "Closed"', () => {
+    expect(formatSchedule(parseHoursText('Closed due to snow'), ', ')).toBe('Closed due to snow');
+    expect(formatSchedule(parseHoursText('Closed'), ', ')).toBe('Closed');
+    expect(formatSchedule(parseHoursText(''), ', ')).toBe('Closed');
+  });
+});
+
+describe('getDaySchedule', () => {
+  it('prefers structured hours for the calendar date', () => {
+    const library = {
+      ...everyDay('9am - 5pm'),
+      hours: { '2025-01-28': { kind: 'closed', sessions: [], note: 'Closed for holiday' } },
+    };
+    expect(getDaySchedule(library, new Date(2025, 0, 28)).note).toBe('Closed for holiday');
+    expect(getDaySchedule(library, new Date(2025, 0, 29)).sessions).toEqual([{ open: 540, close: 1020 }]);
+  });
+
+  it('parses string-valued hours from older hours.json files', () => {
+    const library = { hours: { '2025-01-28': '10am - 4pm' } };
+    expect(getDaySchedule(library, new Date(2025, 0, 28)).sessions).toEqual([{ open: 600, close: 960 }]);
+  });
+});
+
+describe('getLibraryStatus', () => {
+  const weekday = everyDay('9am - 5pm');
+
+  it.each([
+    ['2025-01-28T08:59', 'closed'],
+    ['2025-01-28T09:00', 'open'],
+    ['2025-01-28T15:59', 'open'],
+    ['2025-01-28T16:00', 'closing'],
+    ['2025-01-28T16:59', 'closing'],
+    ['2025-01-28T17:00', 'closed'],
+  ])('9am - 5pm at %s is %s', (time, expected) => {
+    expect(getLibraryStatus(weekday, eastern(time))).toBe(expected);
+  });
+
+  it('treats the gap between sessions as closed', () => {
+    const botany = csvLibraries.find(lib => lib.Id === 'botany');
+    expect(getLibraryStatus(botany, eastern('2025-01-28T13:30'))).toBe('closed');
+    expect(getLibraryStatus(botany, eastern('2025-01-28T14:30'))).toBe('open');
+  });
+
+  it('honors a custom closing-soon threshold', () => {
+    const time = eastern('2025-01-28T16:30');
+    expect(getLibraryStatus(weekday, time, { closingSoonMinutes: 15 })).toBe('open');
+    expect(getLibraryStatus(weekday, time, { closingSoonMinutes: 60 })).toBe('closing');
+  });
+
+  describe('across midnight', () => {
+    const lateNight = {
+      ...everyDay('Closed'),
+      Thursday: 'Open from 10am',
+      Friday: 'Open until 2am',
+    };
+
+    it.each([
+      ['2025-01-30T23:30', 'open'],
+      ['2025-01-31T00:30', 'open'],
+      ['2025-01-31T01:30', 'closing'],
+      ['2025-01-31T02:00', 'closed'],
+    ])('Thursday "Open from 10am" + Friday "Open until 2am" at %s is %s', (time, expected) => {
+      expect(getLibraryStatus(lateNight, eastern(time))).toBe(expected);
+    });
+
+    it('does not report closing at 11pm when the next day continues', () => {
+      // Lamont: Tuesday and Wednesday are both "24 Hours"
+      expect(getLibraryStatus(lamont, eastern('2025-01-28T23:30'))).toBe('open');
+    });
+
+    it('reports closing at 11pm when the day really ends at midnight', () => {
+      const cabot = csvLibraries.find(lib => lib.Id === 'cabot');
+      // Cabot: Tuesday "9am - 12am", Wednesday "24 Hours" — continuous
+      expect(getLibraryStatus(cabot, eastern('2025-01-28T23:30'))).toBe('open');
+      // Countway: Monday "8am - 12am", Tuesday "8am - 12am" — closes at midnight
+      const countway = csvLibraries.find(lib => lib.Id === 'countway-medicine');
+      expect(getLibraryStatus(countway, eastern('2025-01-27T23:30'))).toBe('closing');
+    });
+  });
+
+  describe('DST transitions in America/New_York', () => {
+    it.each([
+      // Spring forward: Sunday 2026-03-08, 9:30 EDT is 13:30 UTC
+      ['2026-03-08T13:30:00Z', 'open'],
+      ['2026-03-08T12:30:00Z', 'closed'],
+      // Day before, still EST: 13:30 UTC is 8:30 local
+      ['2026-03-07T13:30:00Z', 'closed'],
+      // Fall back: Sunday 2026-11-01, 13:30 UTC is 8:30 EST
+      ['2026-11-01T13:30:00Z', 'closed'],
+      ['2026-11-01T14:30:00Z', 'open'],
+      // Day before, still EDT: 13:30 UTC is 9:30 local
+      ['2026-10-31T13:30:00Z', 'open'],
+      // 4:30pm local, in each offset
+      ['2026-03-08T20:30:00Z', 'closing'],
+      ['2026-11-01T21:30:00Z', 'closing'],
+    ])('9am - 5pm at %s is %s', (iso, expected) => {
+      expect(getLibraryStatus(weekday, new Date(iso))).toBe(expected);
+    });
+  });
+});
+
+describe('getLibraryStatusDetails', () => {
+  const lateNight = {
+    ...everyDay('Closed'),
+    Tuesday: '9am - 5pm',
+    Thursday: 'Open from 10am',
+    Friday: 'Open until 2am',
+  };
+
+  it.each([
+    ['2025-01-28T16:18', 'closing', 42, 'Closes in 42 min'],
+    ['2025-01-28T10:00', 'open', 420, 'Closes at 5pm'],
+    ['2025-01-30T23:30', 'open', 150, 'Closes tomorrow at 2am'],
+    ['2025-01-28T08:45', 'closed', 15, 'Opens in 15 min'],
+    ['2025-01-29T12:00', 'closed', 1320, 'Opens tomorrow at 10am'],
+    ['2025-01-31T03:00', 'closed', 4 * 1440 + 540 - 180, 'Opens Tue at 9am'],
+  ])('at %s', (time, status, minutesUntilChange, label) => {
+    expect(getLibraryStatusDetails(lateNight, eastern(time))).toEqual({ status, minutesUntilChange, label });
+  });
+
+  it('has no next change for a library open around the clock', () => {
+    expect(getLibraryStatusDetails(everyDay('24 Hours'), eastern('2025-01-28T12:00'))).toEqual({
+      status: 'open',
+      minutesUntilChange: null,
+      label: 'Open 24 hours',
+    });
+  });
+
+  it('has no next change for a library with no upcoming hours', () => {
+    expect(getLibraryStatusDetails(everyDay('Closed'), eastern('2025-01-28T12:00')).label).toBe('No upcoming hours');
+  });
+
+  it('exposes minutes until close for sorting', () => {
+    expect(getMinutesUntilClose(everyDay('9am - 5pm'), eastern('2025-01-28T16:00'))).toBe(60);
+    expect(getMinutesUntilClose(everyDay('9am - 5pm'), eastern('2025-01-28T18:00'))).toBeNull();
+  });
+});
+
+describe('eastern date helpers', () => {
+  it('formats date keys from local fields', () => {
+    expect(toDateKey(new Date(2025, 0, 5))).toBe('2025-01-05');
+  });
+
+  // Outside the US the host's DST rules never line up with Boston's, so the
+  // conversions can't lean on the local zone
+  describe('on a host in Tokyo', () => {
+    const originalTZ = process.env.TZ;
+    beforeAll(() => { process.env.TZ = 'Asia/Tokyo'; });
+    afterAll(() => {
+      if (originalTZ === undefined) delete process.env.TZ;
+      else process.env.TZ = originalTZ;
+    });
+
+    it.each([
+      ['2025-01-28T21:00', '2025-01-29T02:00:00.000Z'],
+      ['2026-03-08T09:30', '2026-03-08T13:30:00.000Z'],
+      ['2026-11-01T09:30', '2026-11-01T14:30:00.000Z'],
+      ['2026-07-04T00:00', '2026-07-04T04:00:00.000Z'],
+    ])('round-trips %s through datetime-local values', (value, instant) => {
+      expect(new Date(2026, 6, 1).getTimezoneOffset()).toBe(-540);
+      expect(fromEasternInputValue(value).toISOString()).toBe(instant);
+      expect(toEasternInputValue(fromEasternInputValue(value))).toBe(value);
+    });
+  });
+
+  it('rejects empty input values', () => {
+    expect(fromEasternInputValue('')).toBeNull();
+  });
+
+  it('formats date keys without shifting the day', () => {
+    expect(formatDateKey('2025-01-26')).toBe('Jan 26');
+    expect(formatDateKey('2025-12-31')).toBe('Dec 31');
+  });
+
+  it('formats moments as EST calendar dates', () => {
+    // 2am UTC is still the previous evening in Boston
+    expect(formatShortDate(new Date('2025-01-27T02:00:00Z'))).toBe('Jan 26, 2025');
+  });
+});
+
+describe('getDistanceMiles / formatDistance', () => {
+  it('measures great-circle distance', () => {
+    // Widener to the Arnold Arboretum is about 4.6 miles
+    const widener = { lat: 42.3734, lng: -71.1166 };
+    const arboretum = { lat: 42.3075, lng: -71.1209 };
+    expect(getDistanceMiles(widener, arboretum)).toBeCloseTo(4.56, 1);
+    expect(getDistanceMiles(widener, widener)).toBe(0);
+  });
+
+  it.each([
+    [0.26, '0.3 mi'],
+    [4.56, '4.6 mi'],
+    [12.4, '12 mi'],
+  ])('%f → %s', (miles, expected) => {
+    expect(formatDistance(miles)).toBe(expected);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Settings remembered across reloads in localStorage, stored as plain strings.
+ * Used by App (closing-soon threshold) and Sidebar (sort mode).
+ */
+
+/**
+ * Reads a saved preference
+ * @param {string} key - localStorage key, e.g. "harvard-libraries:sortBy"
+ * @param {*} fallback - Value to use when nothing usable is saved
+ * @param {Function} [parse] - Turns the saved string into the value, or returns null to reject it
+ * @returns {*} Parsed saved value, or the fallback
+ */
+export function loadPreference(key, fallback, parse = saved => saved) {
+  try {
+    const saved = localStorage.getItem(key);
+    if (saved !== null) return parse(saved) ?? fallback;
+  } catch {
+    // Storage can be unavailable (private mode, disabled cookies)
+  }
+  return fallback;
+}
+
+/**
+ * Saves a preference
+ * @param {string} key - localStorage key
+ * @param {*} value - Value to save, stored as a string
+ */
+export function savePreference(key, value) {
+  try {
+    localStorage.setItem(key, String(value));
+  } catch {
+    // Ignore storage failures, the preference just won't persist
+  }
+}
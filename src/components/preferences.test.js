@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadPreference, savePreference } from './preferences';
+
+describe('preferences', () => {
+  let stored;
+  beforeEach(() => {
+    stored = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: key => stored.get(key) ?? null,
+      setItem: (key, value) => stored.set(key, value),
+    });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('saves values as strings and reads them back', () => {
+    savePreference('test:minutes', 30);
+    expect(stored.get('test:minutes')).toBe('30');
+    expect(loadPreference('test:minutes', 15)).toBe('30');
+    expect(loadPreference('test:minutes', 15, saved => Number(saved))).toBe(30);
+  });
+
+  it('falls back when nothing is saved or the parser rejects the value', () => {
+    expect(loadPreference('test:sortBy', 'distance')).toBe('distance');
+    stored.set('test:sortBy', 'sideways');
+    expect(loadPreference('test:sortBy', 'distance', saved => (saved === 'open' ? saved : null))).toBe('distance');
+  });
+
+  it('falls back when storage is unavailable', () => {
+    vi.stubGlobal('localStorage', {
+      getItem: () => { throw new Error('SecurityError'); },
+      setItem: () => { throw new Error('QuotaExceededError'); },
+    });
+    expect(() => savePreference('test:sortBy', 'open')).not.toThrow();
+    expect(loadPreference('test:sortBy', 'distance')).toBe('distance');
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * The library registry (public/library-registry.json) is the one place a
+ * tracked library is configured, keyed by its Drupal path alias:
+ *
+ *   "lamont": {
+ *     "enabled": true,             // false hides it everywhere without deleting it
+ *     "campus": "cambridge",       // one of CAMPUSES
+ *     "libcalId": null,            // LibCal lid, when Drupal's field_library_id is wrong
+ *     "coords": { "lat": 42.37, "lng": -71.11, "source": "manual" },
+ *     "entrances": [               // optional; the first one is where directions lead
+ *       { "name": "Main entrance", "lat": 42.37, "lng": -71.11, "accessible": true }
+ *     ],
+ *     "footprint": [{ "lat": 42.37, "lng": -71.11 }, …], // optional building outline, 3+ corners
+ *     "amenities": ["quiet-study", "printing"], // optional; curated amenity ids, see amenities.js
+ *     "nicknames": ["HBS"],        // optional; other names people search for
+ *     "overrides": { "Name": "…" } // replaces the fetched Name/Description/Address
+ *   }
+ *
+ * Coordinates placed in the coords editor are "manual"; ones filled in by
+ * scripts/geocode.mjs are "geocoded" and are the only ones it may replace.
+ *
+ * Read by the app, the coords editor, scripts/update-hours.mjs and scripts/geocode.mjs.
+ */
+
+import { validateAmenities } from './amenities.js';
+
+export const CAMPUSES = ['cambridge', 'allston', 'longwood', 'arboretum'];
+
+export const OVERRIDE_FIELDS = ['Name', 'Description', 'Address'];
+
+export const COORDS_SOURCES = ['manual', 'geocoded'];
+
+// Every Harvard library sits inside this box: Cambridge, Allston, Longwood and the Arboretum
+export const HARVARD_BOUNDS = { south: 42.28, west: -71.2, north: 42.42, east: -71.0 };
+
+const ALIAS_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// A footprint is a closed outline, so it needs at least a triangle
+const MIN_FOOTPRINT_POINTS = 3;
+
+/**
+ * Checks that a coordinates entry has numeric lat/lng in range
+ * @param {*} coords - Registry `coords` value
+ * @returns {boolean} True if usable on the map
+ */
+export function isValidCoords(coords) {
+  return Boolean(coords) &&
+    Number.isFinite(coords.lat) && Math.abs(coords.lat) <= 90 &&
+    Number.isFinite(coords.lng) && Math.abs(coords.lng) <= 180;
+}
+
+/**
+ * Checks that coordinates fall inside a bounding box
+ * @param {{lat: number, lng: number}} coords - Valid coordinates
+ * @param {{south: number, west: number, north: number, east: number}} [bounds=HARVARD_BOUNDS] - Box to check against
+ * @returns {boolean} True if inside the box
+ */
+export function isWithinBounds(coords, bounds = HARVARD_BOUNDS) {
+  return coords.lat >= bounds.south && coords.lat <= bounds.north &&
+    coords.lng >= bounds.west && coords.lng <= bounds.east;
+}
+
+/**
+ * Lists the aliases of libraries that should be fetched and shown
+ * @param {Object} registry - Registry contents
+ * @returns {Array<string>} Enabled aliases, in registry order
+ */
+export function getEnabledAliases(registry) {
+  return Object.keys(registry).filter(alias => registry[alias].enabled);
+}
+
+/**
+ * Extracts the coordinates of every registry entry that has them
+ * @param {Object} registry - Registry contents
+ * @returns {Object} Coordinates keyed by alias
+ */
+export function getRegistryCoords(registry) {
+  const coords = {};
+  for (const [alias, entry] of Object.entries(registry)) {
+    if (entry.coords) coords[alias] = { lat: entry.coords.lat, lng: entry.coords.lng };
+  }
+  return coords;
+}
+
+/**
+ * Returns a copy of the registry with new coordinates for the given aliases
+ * @param {Object} registry - Registry contents
+ * @param {Object} coordsById - New coordinates keyed by alias
+ * @param {'manual' | 'geocoded'} [source='manual'] - Where the coordinates came from
+ * @returns {Object} Updated registry
+ * @throws {Error} If an alias isn't in the registry
+ */
+export function setRegistryCoords(registry, coordsById, source = 'manual') {
+  const updated = { ...registry };
+  for (const [alias, coords] of Object.entries(coordsById)) {
+    if (!updated[alias]) throw new Error(`Unknown library "${alias}"`);
+    updated[alias] = { ...updated[alias], coords: { lat: coords.lat, lng: coords.lng, source } };
+  }
+  return updated;
+}
+
+/**
+ * Checks a library's entrances
+ * @param {*} entrances - Registry `entrances` value
+ * @returns {Array<string>} Problems found, without the alias
+ */
+export function validateEntrances(entrances) {
+  if (!Array.isArray(entrances)) return ['entrances must be a list'];
+
+  const errors = [];
+  const names = new Set();
+  entrances.forEach((entrance, i) => {
+    const label = `entrance ${i + 1}`;
+    if (typeof entrance?.name !== 'string' || !entrance.name.trim()) {
+      errors.push(`${label} needs a name`);
+    } else if (names.has(entrance.name)) {
+      errors.push(`${label}: duplicate name "${entrance.name}"`);
+    } else {
+      names.add(entrance.name);
+    }
+    if (!isValidCoords(entrance)) {
+      errors.push(`${label} must have numeric lat and lng`);
+    } else if (!isWithinBounds(entrance)) {
+      errors.push(`${label} is outside the Harvard area`);
+    }
+    if (entrance?.accessible != null && typeof entrance.accessible !== 'boolean') {
+      errors.push(`${label}: accessible must be true or false`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Checks a library's building footprint
+ * @param {*} footprint - Registry `footprint` value
+ * @returns {Array<string>} Problems found, without the alias
+ */
+export function validateFootprint(footprint) {
+  if (!Array.isArray(footprint) || footprint.length < MIN_FOOTPRINT_POINTS) {
+    return [`footprint must be a list of at least ${MIN_FOOTPRINT_POINTS} points`];
+  }
+  if (!footprint.every(isValidCoords)) return ['footprint points must have numeric lat and lng'];
+  if (!footprint.every(point => isWithinBounds(point))) return ['footprint is outside the Harvard area'];
+  return [];
+}
+
+/**
+ * Returns a copy of the registry with the coords editor's changes applied
+ * @param {Object} registry - Registry contents
+ * @param {Object} update - Changes, each keyed by alias:
+ *   `add` (new entries for libraries only in libraries.csv, as { campus }),
+ *   `coords` (new position), `entrances` (replacement list; empty drops them),
+ *   `footprints` (replacement outline, or null to drop it) and `remove` (aliases to drop)
+ * @returns {Object} Updated registry
+ * @throws {Error} If an alias isn't in the registry, or is added when it already is
+ */
+export function applyRegistryUpdate(registry, { add = {}, coords = {}, entrances = {}, footprints = {}, remove = [] }) {
+  const withAdded = { ...registry };
+  for (const [alias, { campus }] of Object.entries(add)) {
+    if (withAdded[alias]) throw new Error(`Library "${alias}" is already in the registry`);
+    withAdded[alias] = { enabled: true, campus, libcalId: null, coords: null, overrides: {} };
+  }
+  const updated = setRegistryCoords(withAdded, coords);
+  const setField = (alias, field, value) => {
+    if (!updated[alias]) throw new Error(`Unknown library "${alias}"`);
+    const { [field]: _previous, ...entry } = updated[alias];
+    updated[alias] = value == null || value.length === 0 ? entry : { ...entry, [field]: value };
+  };
+
+  for (const [alias, list] of Object.entries(entrances)) {
+    setField(alias, 'entrances', list.map(({ name, lat, lng, accessible }) => ({ name: name.trim(), lat, lng, accessible: Boolean(accessible) })));
+  }
+  for (const [alias, outline] of Object.entries(footprints)) {
+    setField(alias, 'footprint', outline && outline.map(({ lat, lng }) => ({ lat, lng })));
+  }
+  for (const alias of remove) {
+    if (!updated[alias]) throw new Error(`Unknown library "${alias}"`);
+    delete updated[alias];
+  }
+  return updated;
+}
+
+/**
+ * Checks an update sent by the coords editor before it's saved to the registry
+ * @param {Object} registry - Registry contents
+ * @param {*} update - Request body, as taken by applyRegistryUpdate
+ * @returns {Array<string>} Problems found; empty if the update can be saved
+ */
+export function validateRegistryUpdate(registry, update) {
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(update)) return ['Expected an object with add, coords, entrances, footprints and remove'];
+
+  const { add = {}, coords = {}, entrances = {}, footprints = {}, remove = [] } = update;
+  for (const [field, value] of Object.entries({ add, coords, entrances, footprints })) {
+    if (!isObject(value)) return [`${field} must be an object keyed by library alias`];
+  }
+  if (!Array.isArray(remove)) return ['remove must be a list of library aliases'];
+  const changed = [add, coords, entrances, footprints].flatMap(Object.keys);
+  if (changed.length === 0 && remove.length === 0) return ['No changes to save'];
+
+  const errors = [];
+  const checkAlias = (alias) => {
+    if (Object.hasOwn(registry, alias) || Object.hasOwn(add, alias)) return true;
+    errors.push(`Unknown library "${alias}"`);
+    return false;
+  };
+
+  // New entries are created where they're placed, so each needs coordinates in the same update
+  for (const [alias, value] of Object.entries(add)) {
+    if (Object.hasOwn(registry, alias)) {
+      errors.push(`${alias}: already in the registry`);
+    } else if (!ALIAS_PATTERN.test(alias)) {
+      errors.push(`${alias}: alias must be lowercase words joined by hyphens`);
+    } else if (!CAMPUSES.includes(value?.campus)) {
+      errors.push(`${alias}: campus must be one of ${CAMPUSES.join(', ')}`);
+    } else if (!Object.hasOwn(coords, alias)) {
+      errors.push(`${alias}: new libraries need coords`);
+    }
+  }
+
+  for (const [alias, value] of Object.entries(coords)) {
+    if (!checkAlias(alias)) continue;
+    if (!isValidCoords(value)) {
+      errors.push(`${alias}: lat and lng must be numbers`);
+    } else if (!isWithinBounds(value)) {
+      errors.push(`${alias}: ${value.lat}, ${value.lng} is outside the Harvard area`);
+    }
+  }
+  for (const [alias, list] of Object.entries(entrances)) {
+    if (checkAlias(alias)) errors.push(...validateEntrances(list).map(e => `${alias}: ${e}`));
+  }
+  for (const [alias, outline] of Object.entries(footprints)) {
+    if (checkAlias(alias) && outline !== null) errors.push(...validateFootprint(outline).map(e => `${alias}: ${e}`));
+  }
+  for (const alias of remove) {
+    if (typeof alias !== 'string' || !Object.hasOwn(registry, alias)) {
+      errors.push(`Unknown library "${alias}"`);
+    } else if (changed.includes(alias)) {
+      errors.push(`${alias}: cannot both edit and remove`);
+    }
+  }
+  return [...new Set(errors)];
+}
+
+/**
+ * Checks every registry entry, including that enabled libraries have coordinates
+ * @param {*} registry - Parsed library-registry.json
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCoords=true] - False while missing coordinates are about to be geocoded
+ * @returns {Array<string>} Problems found; empty if the registry is valid
+ */
+export function validateRegistry(registry, { requireCoords = true } = {}) {
+  if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+    return ['Registry: expected an object keyed by library alias'];
+  }
+
+  const errors = [];
+  for (const [alias, entry] of Object.entries(registry)) {
+    if (!ALIAS_PATTERN.test(alias)) errors.push(`${alias}: alias must be lowercase words joined by hyphens`);
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${alias}: entry must be an object`);
+      continue;
+    }
+    if (typeof entry.enabled !== 'boolean') errors.push(`${alias}: enabled must be true or false`);
+    if (!CAMPUSES.includes(entry.campus)) {
+      errors.push(`${alias}: campus must be one of ${CAMPUSES.join(', ')}`);
+    }
+    if (entry.libcalId != null && !/^\d+$/.test(String(entry.libcalId))) {
+      errors.push(`${alias}: libcalId must be a numeric LibCal id or null`);
+    }
+    if (entry.coords != null && !isValidCoords(entry.coords)) {
+      errors.push(`${alias}: coords must have numeric lat and lng`);
+    } else if (entry.coords != null && !COORDS_SOURCES.includes(entry.coords.source)) {
+      errors.push(`${alias}: coords source must be one of ${COORDS_SOURCES.join(', ')}`);
+    } else if (requireCoords && entry.enabled && entry.coords == null) {
+      errors.push(`${alias}: enabled libraries need coords`);
+    }
+    if (entry.entrances != null) {
+      errors.push(...validateEntrances(entry.entrances).map(e => `${alias}: ${e}`));
+    }
+    if (entry.footprint != null) {
+      errors.push(...validateFootprint(entry.footprint).map(e => `${alias}: ${e}`));
+    }
+    if (entry.amenities != null) {
+      errors.push(...validateAmenities(entry.amenities).map(e => `${alias}: ${e}`));
+    }
+    if (entry.nicknames != null &&
+        (!Array.isArray(entry.nicknames) || !entry.nicknames.every(name => typeof name === 'string' && name.trim()))) {
+      errors.push(`${alias}: nicknames must be a list of names`);
+    }
+    for (const [field, value] of Object.entries(entry.overrides || {})) {
+      if (!OVERRIDE_FIELDS.includes(field)) {
+        errors.push(`${alias}: cannot override ${field} (only ${OVERRIDE_FIELDS.join(', ')})`);
+      } else if (typeof value !== 'string') {
+        errors.push(`${alias}: override for ${field} must be a string`);
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,250 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './csv';
+import {
+  isValidCoords,
+  isWithinBounds,
+  getEnabledAliases,
+  getRegistryCoords,
+  setRegistryCoords,
+  applyRegistryUpdate,
+  validateRegistryUpdate,
+  validateEntrances,
+  validateFootprint,
+  validateRegistry,
+} from './registry';
+import { registryEntry, manualCoords } from '../../test/helpers';
+
+const registryJson = JSON.parse(readFileSync(new URL('../../public/library-registry.json', import.meta.url), 'utf-8'));
+const librariesCsv = readFileSync(new URL('../../public/libraries.csv', import.meta.url), 'utf-8');
+
+const door = { name: 'Main entrance', lat: 42.3727, lng: -71.1152, accessible: true };
+const footprint = [{ lat: 42.3726, lng: -71.1155 }, { lat: 42.3731, lng: -71.1155 }, { lat: 42.3731, lng: -71.1148 }];
+
+const lamont = registryEntry(manualCoords(42.3728, -71.1151));
+
+describe('library-registry.json', () => {
+  it('is valid', () => {
+    expect(validateRegistry(registryJson)).toEqual([]);
+  });
+
+  it('lists every library in libraries.csv', () => {
+    const ids = parseCSV(librariesCsv).map(row => row.Id).sort();
+    expect(getEnabledAliases(registryJson).sort()).toEqual(ids);
+  });
+});
+
+describe('isValidCoords', () => {
+  it.each([
+    [{ lat: 42.37, lng: -71.11 }, true],
+    [{ lat: -90, lng: 180 }, true],
+    [{ lat: 91, lng: 0 }, false],
+    [{ lat: '42.37', lng: -71.11 }, false],
+    [{ lat: 42.37 }, false],
+    [null, false],
+  ])('%j → %s', (coords, expected) => {
+    expect(isValidCoords(coords)).toBe(expected);
+  });
+});
+
+describe('isWithinBounds', () => {
+  it.each([
+    [{ lat: 42.3728, lng: -71.1151 }, true],
+    [{ lat: 42.3075, lng: -71.1209 }, true],
+    [{ lat: 40.7128, lng: -74.006 }, false],
+    [{ lat: 42.37, lng: 71.11 }, false],
+  ])('%j → %s', (coords, expected) => {
+    expect(isWithinBounds(coords)).toBe(expected);
+  });
+
+  it('keeps every registry library inside the Harvard area', () => {
+    const outside = Object.entries(getRegistryCoords(registryJson)).filter(([, coords]) => !isWithinBounds(coords));
+    expect(outside).toEqual([]);
+  });
+});
+
+describe('registry helpers', () => {
+  const registry = {
+    lamont,
+    'map-collection': { ...lamont, enabled: false, coords: null },
+  };
+
+  it('lists enabled aliases', () => {
+    expect(getEnabledAliases(registry)).toEqual(['lamont']);
+  });
+
+  it('extracts coordinates', () => {
+    expect(getRegistryCoords(registry)).toEqual({ lamont: { lat: 42.3728, lng: -71.1151 } });
+  });
+
+  it('updates coordinates without touching other fields', () => {
+    const updated = setRegistryCoords(registry, { lamont: { lat: 42.4, lng: -71.2, extra: true } });
+    expect(updated.lamont).toEqual({ ...lamont, coords: { lat: 42.4, lng: -71.2, source: 'manual' } });
+    expect(registry.lamont.coords).toEqual({ lat: 42.3728, lng: -71.1151, source: 'manual' });
+  });
+
+  it('records where coordinates came from', () => {
+    const updated = setRegistryCoords(registry, { 'map-collection': { lat: 42.37, lng: -71.11 } }, 'geocoded');
+    expect(updated['map-collection'].coords).toEqual({ lat: 42.37, lng: -71.11, source: 'geocoded' });
+  });
+
+  it('rejects coordinates for unknown libraries', () => {
+    expect(() => setRegistryCoords(registry, { widener: { lat: 42.37, lng: -71.11 } })).toThrow('Unknown library "widener"');
+  });
+});
+
+describe('applyRegistryUpdate', () => {
+  const registry = { lamont, widener: { ...lamont } };
+
+  it('moves and removes libraries', () => {
+    const updated = applyRegistryUpdate(registry, { coords: { lamont: { lat: 42.4, lng: -71.2 } }, remove: ['widener'] });
+    expect(updated).toEqual({ lamont: { ...lamont, coords: { lat: 42.4, lng: -71.2, source: 'manual' } } });
+    expect(Object.keys(registry)).toEqual(['lamont', 'widener']);
+  });
+
+  it('replaces and drops entrances and footprints', () => {
+    const withShape = { ...registry, widener: { ...lamont, entrances: [door], footprint } };
+    const updated = applyRegistryUpdate(withShape, {
+      entrances: { lamont: [{ ...door, name: ' Side door ', accessible: undefined }], widener: [] },
+      footprints: { lamont: footprint, widener: null },
+    });
+    expect(updated.lamont.entrances).toEqual([{ ...door, name: 'Side door', accessible: false }]);
+    expect(updated.lamont.footprint).toEqual(footprint);
+    expect(updated.widener).toEqual(lamont);
+  });
+
+  it('adds new entries for libraries only in libraries.csv', () => {
+    const updated = applyRegistryUpdate(registry, {
+      add: { houghton: { campus: 'cambridge' } },
+      coords: { houghton: { lat: 42.3737, lng: -71.1163 } },
+      entrances: { houghton: [door] },
+    });
+    expect(Object.keys(updated)).toEqual(['lamont', 'widener', 'houghton']);
+    expect(updated.houghton).toEqual({
+      enabled: true,
+      campus: 'cambridge',
+      libcalId: null,
+      coords: { lat: 42.3737, lng: -71.1163, source: 'manual' },
+      overrides: {},
+      entrances: [door],
+    });
+    expect(validateRegistry(updated)).toEqual([]);
+    expect(() => applyRegistryUpdate(registry, { add: { lamont: { campus: 'cambridge' } } })).toThrow('Library "lamont" is already in the registry');
+  });
+
+  it('rejects unknown libraries', () => {
+    expect(() => applyRegistryUpdate(registry, { remove: ['houghton'] })).toThrow('Unknown library "houghton"');
+    expect(() => applyRegistryUpdate(registry, { entrances: { houghton: [] } })).toThrow('Unknown library "houghton"');
+  });
+});
+
+describe('validateRegistryUpdate', () => {
+  const registry = { lamont, widener: { ...lamont } };
+
+  it('accepts known libraries inside the Harvard area', () => {
+    expect(validateRegistryUpdate(registry, { coords: { lamont: { lat: 42.373, lng: -71.115 } } })).toEqual([]);
+    expect(validateRegistryUpdate(registry, { entrances: { lamont: [door] }, footprints: { lamont: footprint, widener: null } })).toEqual([]);
+    expect(validateRegistryUpdate(registry, { remove: ['widener'] })).toEqual([]);
+    expect(validateRegistryUpdate(registry, {
+      add: { houghton: { campus: 'cambridge' } },
+      coords: { houghton: { lat: 42.3737, lng: -71.1163 } },
+      footprints: { houghton: footprint },
+    })).toEqual([]);
+  });
+
+  it.each([
+    [null, ['Expected an object with add, coords, entrances, footprints and remove']],
+    [[], ['Expected an object with add, coords, entrances, footprints and remove']],
+    [{ coords: [] }, ['coords must be an object keyed by library alias']],
+    [{ remove: 'widener' }, ['remove must be a list of library aliases']],
+    [{ coords: {}, remove: [] }, ['No changes to save']],
+    [{ coords: { houghton: { lat: 42.37, lng: -71.11 } } }, ['Unknown library "houghton"']],
+    [{ coords: { toString: { lat: 42.37, lng: -71.11 } } }, ['Unknown library "toString"']],
+    [{ coords: { lamont: { lat: '42.37', lng: -71.11 } } }, ['lamont: lat and lng must be numbers']],
+    [{ coords: { lamont: { lat: 40.7128, lng: -74.006 } } }, ['lamont: 40.7128, -74.006 is outside the Harvard area']],
+    [{ remove: ['houghton', 5] }, ['Unknown library "houghton"', 'Unknown library "5"']],
+    [{ entrances: [] }, ['entrances must be an object keyed by library alias']],
+    [{ entrances: { lamont: [{ ...door, lat: 40.7 }] } }, ['lamont: entrance 1 is outside the Harvard area']],
+    [{ footprints: { lamont: footprint.slice(0, 2) } }, ['lamont: footprint must be a list of at least 3 points']],
+    [{ footprints: { houghton: null }, entrances: { houghton: [] } }, ['Unknown library "houghton"']],
+    [{ footprints: { lamont: null }, remove: ['lamont'] }, ['lamont: cannot both edit and remove']],
+    [{ coords: { lamont: { lat: 42.37, lng: -71.11 } }, remove: ['lamont'] }, ['lamont: cannot both edit and remove']],
+    [{ add: [] }, ['add must be an object keyed by library alias']],
+    [{ add: { lamont: { campus: 'cambridge' } }, coords: { lamont: { lat: 42.37, lng: -71.11 } } }, ['lamont: already in the registry']],
+    [{ add: { Houghton: { campus: 'cambridge' } }, coords: { Houghton: { lat: 42.37, lng: -71.11 } } }, ['Houghton: alias must be lowercase words joined by hyphens']],
+    [{ add: { houghton: { campus: 'mars' } }, coords: { houghton: { lat: 42.37, lng: -71.11 } } }, ['houghton: campus must be one of cambridge, allston, longwood, arboretum']],
+    [{ add: { houghton: { campus: 'cambridge' } } }, ['houghton: new libraries need coords']],
+    [{ add: { houghton: { campus: 'cambridge' } }, coords: { houghton: { lat: 40.7128, lng: -74.006 } } }, ['houghton: 40.7128, -74.006 is outside the Harvard area']],
+  ])('%j', (body, errors) => {
+    expect(validateRegistryUpdate(registry, body)).toEqual(errors);
+  });
+});
+
+describe('validateEntrances', () => {
+  it('accepts named entrances inside the Harvard area', () => {
+    expect(validateEntrances([door, { name: 'Side door', lat: 42.3729, lng: -71.1149 }])).toEqual([]);
+  });
+
+  it.each([
+    [{}, ['entrances must be a list']],
+    [[{ ...door, name: ' ' }], ['entrance 1 needs a name']],
+    [[door, door], ['entrance 2: duplicate name "Main entrance"']],
+    [[{ ...door, lat: '42.37' }], ['entrance 1 must have numeric lat and lng']],
+    [[{ ...door, lng: 71.11 }], ['entrance 1 is outside the Harvard area']],
+    [[{ ...door, accessible: 'yes' }], ['entrance 1: accessible must be true or false']],
+  ])('%j', (entrances, errors) => {
+    expect(validateEntrances(entrances)).toEqual(errors);
+  });
+});
+
+describe('validateFootprint', () => {
+  it.each([
+    [footprint, []],
+    [footprint.slice(0, 2), ['footprint must be a list of at least 3 points']],
+    [{ lat: 42.37, lng: -71.11 }, ['footprint must be a list of at least 3 points']],
+    [[...footprint, { lat: 42.37 }], ['footprint points must have numeric lat and lng']],
+    [[...footprint, { lat: 40.7, lng: -74 }], ['footprint is outside the Harvard area']],
+  ])('%j', (outline, errors) => {
+    expect(validateFootprint(outline)).toEqual(errors);
+  });
+});
+
+describe('validateRegistry', () => {
+  it.each([
+    [[], ['Registry: expected an object keyed by library alias']],
+    [{ Lamont: lamont }, ['Lamont: alias must be lowercase words joined by hyphens']],
+    [{ lamont: null }, ['lamont: entry must be an object']],
+    [{ lamont: { ...lamont, enabled: 'yes' } }, ['lamont: enabled must be true or false']],
+    [{ lamont: { ...lamont, campus: 'boston' } }, ['lamont: campus must be one of cambridge, allston, longwood, arboretum']],
+    [{ lamont: { ...lamont, libcalId: 'abc' } }, ['lamont: libcalId must be a numeric LibCal id or null']],
+    [{ lamont: { ...lamont, coords: { lat: 42.37 } } }, ['lamont: coords must have numeric lat and lng']],
+    [{ lamont: { ...lamont, coords: { lat: 42.37, lng: -71.11 } } }, ['lamont: coords source must be one of manual, geocoded']],
+    [{ lamont: { ...lamont, coords: null } }, ['lamont: enabled libraries need coords']],
+    [{ lamont: { ...lamont, overrides: { Monday: '24 Hours' } } }, ['lamont: cannot override Monday (only Name, Description, Address)']],
+    [{ lamont: { ...lamont, overrides: { Name: 5 } } }, ['lamont: override for Name must be a string']],
+    [{ lamont: { ...lamont, amenities: 'printing' } }, ['lamont: amenities must be a list of amenity ids']],
+    [{ lamont: { ...lamont, nicknames: ['Lamont Café', ' '] } }, ['lamont: nicknames must be a list of names']],
+  ])('%j', (registry, errors) => {
+    expect(validateRegistry(registry)).toEqual(errors);
+  });
+
+  it('checks entrances and footprints', () => {
+    expect(validateRegistry({ lamont: { ...lamont, entrances: [door], footprint } })).toEqual([]);
+    expect(validateRegistry({ lamont: { ...lamont, entrances: [{ ...door, name: '' }], footprint: [] } })).toEqual([
+      'lamont: entrance 1 needs a name',
+      'lamont: footprint must be a list of at least 3 points',
+    ]);
+  });
+
+  it('allows disabled libraries without coordinates', () => {
+    expect(validateRegistry({ lamont: { ...lamont, enabled: false, coords: null } })).toEqual([]);
+  });
+
+  it('allows missing coordinates when they are about to be geocoded', () => {
+    expect(validateRegistry({ lamont: { ...lamont, coords: null } }, { requireCoords: false })).toEqual([]);
+  });
+
+  it('accepts numeric LibCal ids', () => {
+    expect(validateRegistry({ lamont: { ...lamont, libcalId: 8219 } })).toEqual([]);
+  });
+});
@@ -0,0 +1,128 @@
+import { getDistanceMiles, getLibraryStatus, getLibraryStatusDetails, formatDistance, METERS_PER_MILE } from "./libraryUtils";
+
+/**
+ * Walking routes come from a router: an object with one async method
+ *
+ *   getRoute(from, to) → { coordinates: [[lng, lat], …], distanceMeters, durationSeconds }
+ *
+ * createMapboxRouter asks the Mapbox Directions API (or a stand-in server
+ * that answers the same way); createStraightLineRouter needs no network and
+ * estimates from the straight-line distance, for development and tests.
+ */
+
+export const MAPBOX_DIRECTIONS_URL = 'https://api.mapbox.com/directions/v5/mapbox/walking';
+
+// Typical walking pace, about 3 mph
+export const WALKING_METERS_PER_SECOND = 1.4;
+
+// Streets don't run straight to the door; straight-line estimates are stretched by this much
+const STRAIGHT_LINE_DETOUR = 1.3;
+
+/**
+ * Router backed by the Mapbox Directions API, or a stand-in server at another base URL
+ * @param {Object} options
+ * @param {string} options.accessToken - Mapbox access token
+ * @param {string} [options.baseUrl] - Directions endpoint, without the coordinates
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {{getRoute: Function}} Router
+ */
+export function createMapboxRouter({ accessToken, baseUrl = MAPBOX_DIRECTIONS_URL, fetch: fetchImpl = globalThis.fetch }) {
+  return {
+    async getRoute(from, to) {
+      const url = new URL(`${baseUrl}/${from.lng},${from.lat};${to.lng},${to.lat}`);
+      url.searchParams.set('geometries', 'geojson');
+      url.searchParams.set('overview', 'full');
+      if (accessToken) url.searchParams.set('access_token', accessToken);
+
+      const res = await fetchImpl(url.toString());
+      if (!res.ok) throw new Error(`Directions error: ${res.status}`);
+      const data = await res.json();
+      const route = data.routes?.[0];
+      if (!route) throw new Error('No walking route found');
+
+      return {
+        coordinates: route.geometry.coordinates,
+        distanceMeters: route.distance,
+        durationSeconds: route.duration,
+      };
+    },
+  };
+}
+
+/**
+ * Router that draws a straight line and estimates time from distance
+ * @returns {{getRoute: Function}} Router
+ */
+export function createStraightLineRouter() {
+  return {
+    async getRoute(from, to) {
+      const distanceMeters = getDistanceMiles(from, to) * METERS_PER_MILE * STRAIGHT_LINE_DETOUR;
+      return {
+        coordinates: [[from.lng, from.lat], [to.lng, to.lat]],
+        distanceMeters,
+        durationSeconds: distanceMeters / WALKING_METERS_PER_SECOND,
+      };
+    },
+  };
+}
+
+/**
+ * Picks the router from Vite env variables
+ * - VITE_ROUTER=straight-line: no network at all
+ * - VITE_DIRECTIONS_URL: a Mapbox-compatible stand-in server
+ * - otherwise the Mapbox Directions API with VITE_MAPBOX_TOKEN
+ * @param {Object} env - import.meta.env
+ * @returns {{getRoute: Function}} Router
+ */
+export function createRouterFromEnv(env) {
+  if (env.VITE_ROUTER === 'straight-line') return createStraightLineRouter();
+  return createMapboxRouter({
+    accessToken: env.VITE_MAPBOX_TOKEN,
+    baseUrl: env.VITE_DIRECTIONS_URL || MAPBOX_DIRECTIONS_URL,
+  });
+}
+
+/**
+ * Works out when you'd arrive and whether the library will still be open
+ * @param {Object} library - Library record with hours
+ * @param {Date} departure - When you leave (now, or the planned time)
+ * @param {number} durationSeconds - Walking time
+ * @param {Object} [options] - See getLibraryStatusDetails
+ * @returns {{arrival: Date, status: 'open' | 'closing' | 'closed', label: string, warning: string | null}}
+ *   Arrival time, status and label on arrival, and a warning if it's closed or about to close by then
+ */
+export function getArrivalDetails(library, departure, durationSeconds, options) {
+  const arrival = new Date(departure.getTime() + durationSeconds * 1000);
+  const { status, minutesUntilChange, label } = getLibraryStatusDetails(library, arrival, options);
+
+  let warning = null;
+  if (status === 'closed') {
+    warning = getLibraryStatus(library, departure, options) === 'closed'
+      ? "It'll be closed when you arrive"
+      : "You'll arrive after it closes";
+  } else if (status === 'closing') {
+    warning = `It closes ${minutesUntilChange} min after you arrive`;
+  }
+  return { arrival, status, label, warning };
+}
+
+/**
+ * Formats a walking time for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1 min", "12 min", "1 h 5 min"
+ */
+export function formatWalkingTime(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest === 0 ? `${Math.floor(minutes / 60)} h` : `${Math.floor(minutes / 60)} h ${rest} min`;
+}
+
+/**
+ * Formats a route distance for display, in miles like the sidebar
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "0.4 mi"
+ */
+export function formatWalkingDistance(meters) {
+  return formatDistance(meters / METERS_PER_MILE);
+}
@@ -0,0 +1,119 @@
+import { createServer } from 'http';
+import { describe, it, expect } from 'vitest';
+import {
+  MAPBOX_DIRECTIONS_URL,
+  createMapboxRouter,
+  createStraightLineRouter,
+  createRouterFromEnv,
+  getArrivalDetails,
+  formatWalkingTime,
+  formatWalkingDistance,
+} from './routing';
+import { DAY_COLUMNS, fromEasternInputValue } from './libraryUtils';
+import { fakeFetch, jsonResponse } from '../../test/helpers';
+
+const lamont = { lat: 42.3728, lng: -71.1151 };
+const widener = { lat: 42.3734, lng: -71.1165 };
+
+const route = { geometry: { coordinates: [[-71.1151, 42.3728], [-71.1160, 42.3731], [-71.1165, 42.3734]] }, distance: 140, duration: 100 };
+
+/**
+ * Stand-in for fetch that answers every request with one Directions API payload
+ */
+function directionsFetch(payload, status = 200) {
+  return fakeFetch(() => jsonResponse(payload, status));
+}
+
+/**
+ * Library open 9am - 5pm every day
+ */
+const library = Object.fromEntries(DAY_COLUMNS.map(day => [day, '9am - 5pm']));
+
+describe('createMapboxRouter', () => {
+  it('requests a walking route between the two points', async () => {
+    const { fetch, requests } = directionsFetch({ code: 'Ok', routes: [route] });
+    const router = createMapboxRouter({ accessToken: 'pk.test', fetch });
+
+    expect(await router.getRoute(lamont, widener)).toEqual({
+      coordinates: route.geometry.coordinates,
+      distanceMeters: 140,
+      durationSeconds: 100,
+    });
+    const url = new URL(requests[0].url);
+    expect(url.origin + url.pathname).toBe(`${MAPBOX_DIRECTIONS_URL}/-71.1151,42.3728;-71.1165,42.3734`);
+    expect(Object.fromEntries(url.searchParams)).toEqual({ geometries: 'geojson', overview: 'full', access_token: 'pk.test' });
+  });
+
+  it('throws on HTTP errors and empty results', async () => {
+    await expect(createMapboxRouter({ fetch: directionsFetch({}, 401).fetch }).getRoute(lamont, widener))
+      .rejects.toThrow('Directions error: 401');
+    await expect(createMapboxRouter({ fetch: directionsFetch({ code: 'NoRoute', routes: [] }).fetch }).getRoute(lamont, widener))
+      .rejects.toThrow('No walking route found');
+  });
+
+  it('works against a local stand-in server', async () => {
+    const server = createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ code: 'Ok', routes: [route] }));
+    });
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    try {
+      const router = createMapboxRouter({ baseUrl: `http://127.0.0.1:${server.address().port}/walking` });
+      expect((await router.getRoute(lamont, widener)).durationSeconds).toBe(100);
+    } finally {
+      await new Promise(done => server.close(done));
+    }
+  });
+});
+
+describe('createStraightLineRouter', () => {
+  it('estimates from the straight-line distance', async () => {
+    const result = await createStraightLineRouter().getRoute(lamont, widener);
+    expect(result.coordinates).toEqual([[lamont.lng, lamont.lat], [widener.lng, widener.lat]]);
+    // About 133 m apart, stretched by the detour factor
+    expect(result.distanceMeters).toBeCloseTo(173, 0);
+    expect(result.durationSeconds).toBeCloseTo(result.distanceMeters / 1.4, 5);
+  });
+});
+
+describe('createRouterFromEnv', () => {
+  it('uses the straight-line router without network', async () => {
+    const router = createRouterFromEnv({ VITE_ROUTER: 'straight-line' });
+    expect((await router.getRoute(lamont, widener)).coordinates).toHaveLength(2);
+  });
+});
+
+describe('getArrivalDetails', () => {
+  const at = value => fromEasternInputValue(value);
+
+  it('gives the arrival time and no warning when it will be open', () => {
+    const details = getArrivalDetails(library, at('2025-01-28T10:00'), 600);
+    expect(details.arrival).toEqual(at('2025-01-28T10:10'));
+    expect(details).toMatchObject({ status: 'open', warning: null });
+  });
+
+  it.each([
+    ['2025-01-28T16:50', 900, "You'll arrive after it closes"],
+    ['2025-01-28T08:00', 600, "It'll be closed when you arrive"],
+    ['2025-01-28T16:30', 600, 'It closes 20 min after you arrive'],
+  ])('leaving at %s and walking %is warns "%s"', (departure, seconds, warning) => {
+    expect(getArrivalDetails(library, at(departure), seconds).warning).toBe(warning);
+  });
+});
+
+describe('formatWalkingTime', () => {
+  it.each([
+    [20, '1 min'],
+    [720, '12 min'],
+    [3600, '1 h'],
+    [3900, '1 h 5 min'],
+  ])('%is → %s', (seconds, expected) => {
+    expect(formatWalkingTime(seconds)).toBe(expected);
+  });
+});
+
+describe('formatWalkingDistance', () => {
+  it('shows miles', () => {
+    expect(formatWalkingDistance(644)).toBe('0.4 mi');
+  });
+});
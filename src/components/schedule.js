@@ -0,0 +1,74 @@
+import { getDaySchedule, formatMinutes } from "./libraryUtils";
+
+/**
+ * Helpers for the /schedule view: every library's sessions for one day,
+ * laid out on a midnight-to-midnight timeline.
+ */
+
+export const MINUTES_PER_DAY = 1440;
+
+export const SCHEDULE_SORTS = ['latest-close', 'name'];
+
+/**
+ * Finds when a library finally closes on a date, following sessions that run past midnight
+ * @param {Object} library - Library object with day columns and optional `hours` map
+ * @param {Date} date - Date already converted to EST
+ * @returns {number | null} Minutes after that day's midnight (over 1440 if it closes after
+ *   midnight), or null if it doesn't open that day
+ */
+export function getLatestClose(library, date) {
+  const { sessions } = getDaySchedule(library, date);
+  if (sessions.length === 0) return null;
+
+  const close = Math.max(...sessions.map(session => session.close));
+  if (close < MINUTES_PER_DAY) return close;
+
+  // Open until midnight: carry on into the next day's session starting at midnight, if any
+  const nextDay = new Date(date);
+  nextDay.setDate(date.getDate() + 1);
+  const carried = getDaySchedule(library, nextDay).sessions.find(session => session.open === 0);
+  return carried ? MINUTES_PER_DAY + carried.close : close;
+}
+
+/**
+ * Describes a latest close for display
+ * @param {number | null} minutes - From getLatestClose
+ * @returns {string} e.g. "Until 10pm", "Until midnight", "Until 2am", "Open overnight", or "" if closed
+ */
+export function describeLatestClose(minutes) {
+  if (minutes === null) return '';
+  if (minutes >= 2 * MINUTES_PER_DAY) return 'Open overnight';
+  if (minutes === MINUTES_PER_DAY) return 'Until midnight';
+  return `Until ${formatMinutes(minutes % MINUTES_PER_DAY)}`;
+}
+
+/**
+ * Builds one timeline row per library for a date
+ * @param {Array<Object>} libraries - Merged library records
+ * @param {Date} date - Date already converted to EST
+ * @param {'latest-close' | 'name'} sortBy - Latest close first (closed libraries last), or by name
+ * @returns {Array<{library: Object, schedule: Object, latestClose: number | null}>} Rows in display order
+ */
+export function buildScheduleRows(libraries, date, sortBy) {
+  const rows = libraries.map(library => ({
+    library,
+    schedule: getDaySchedule(library, date),
+    latestClose: getLatestClose(library, date),
+  }));
+  const byName = (a, b) => (a.library.Name || '').localeCompare(b.library.Name || '');
+
+  if (sortBy === 'latest-close') {
+    return rows.sort((a, b) => ((b.latestClose ?? -1) - (a.latestClose ?? -1)) || byName(a, b));
+  }
+  return rows.sort(byName);
+}
+
+/**
+ * Converts minutes since midnight to a position on the day's timeline
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} CSS percentage, clamped to the day
+ */
+export function toTimelinePercent(minutes) {
+  const clamped = Math.min(Math.max(minutes, 0), MINUTES_PER_DAY);
+  return `${(clamped / MINUTES_PER_DAY) * 100}%`;
+}
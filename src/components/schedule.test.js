@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { getLatestClose, describeLatestClose, buildScheduleRows, toTimelinePercent } from './schedule';
+import { DAY_COLUMNS } from './libraryUtils';
+
+/**
+ * Builds a library whose every weekday has the same hours string
+ */
+function everyDay(Id, hoursString, extra = {}) {
+  return { Id, Name: Id, ...Object.fromEntries(DAY_COLUMNS.map(day => [day, hoursString])), ...extra };
+}
+
+// Tuesday, already in EST
+const tuesday = new Date(2025, 0, 28);
+
+const widener = everyDay('Widener', '9am - 10pm');
+const houghton = everyDay('Houghton', 'Closed');
+const cabot = everyDay('Cabot', '9am - 5pm', { Tuesday: 'Open from 9:00am - 24 hours', Wednesday: 'Open until 2am' });
+const lamont = everyDay('Lamont', '24 Hours');
+
+describe('getLatestClose', () => {
+  it.each([
+    [widener, 22 * 60],
+    [houghton, null],
+    [cabot, 1440 + 120],
+    [lamont, 2880],
+  ])('%o', (library, expected) => {
+    expect(getLatestClose(library, tuesday)).toBe(expected);
+  });
+
+  it('prefers dated hours', () => {
+    const dated = { ...widener, hours: { '2025-01-28': { kind: 'open', sessions: [{ open: 540, close: 1020 }], note: '9am - 5pm' } } };
+    expect(getLatestClose(dated, tuesday)).toBe(1020);
+  });
+});
+
+describe('describeLatestClose', () => {
+  it.each([
+    [null, ''],
+    [1320, 'Until 10pm'],
+    [1440, 'Until midnight'],
+    [1560, 'Until 2am'],
+    [2880, 'Open overnight'],
+  ])('%s → %s', (minutes, expected) => {
+    expect(describeLatestClose(minutes)).toBe(expected);
+  });
+});
+
+describe('buildScheduleRows', () => {
+  const libraries = [widener, houghton, cabot, lamont];
+
+  it('sorts by latest close, closed libraries last', () => {
+    const rows = buildScheduleRows(libraries, tuesday, 'latest-close');
+    expect(rows.map(row => row.library.Id)).toEqual(['Lamont', 'Cabot', 'Widener', 'Houghton']);
+    expect(rows[2].schedule.sessions).toEqual([{ open: 540, close: 1320 }]);
+  });
+
+  it('sorts by name', () => {
+    const rows = buildScheduleRows(libraries, tuesday, 'name');
+    expect(rows.map(row => row.library.Id)).toEqual(['Cabot', 'Houghton', 'Lamont', 'Widener']);
+  });
+});
+
+describe('toTimelinePercent', () => {
+  it('places and clamps times on the day', () => {
+    expect(toTimelinePercent(720)).toBe('50%');
+    expect(toTimelinePercent(-30)).toBe('0%');
+    expect(toTimelinePercent(1560)).toBe('100%');
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Ranked fuzzy search over libraries, used by the sidebar.
+ *
+ * Every library is indexed by its Name, registry nicknames ("HBS", "SEC"),
+ * Description and Address. Text is folded before matching so case,
+ * accents and full-width forms don't matter ("Sưu tập" matches "suu tap"),
+ * and CJK and Korean names match as plain substrings. Each word of the
+ * query must match somewhere; words of four letters or more may be off
+ * by a typo or two ("widner", "libary").
+ */
+
+// What a match in each field is worth
+const FIELD_WEIGHTS = {
+  Name: 3,
+  nicknames: 3,
+  Description: 2,
+  Address: 1,
+};
+
+// Extra score when the name starts with the whole query
+const NAME_PREFIX_BONUS = 2;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Folds one character for matching: lowercase, no accents, "&" as "and"
+ * @param {string} char - A single code point
+ * @returns {string} Folded text (may be empty or several characters)
+ */
+function foldChar(char) {
+  if (char === '&') return 'and';
+  return char.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/đ/g, 'd');
+}
+
+/**
+ * Folds text for matching and remembers where each folded character came from
+ * @param {string} text - Original text
+ * @returns {{text: string, starts: Array<number>, ends: Array<number>}} Folded text, plus the
+ *   original start and end offset of the character behind each folded character
+ */
+export function foldText(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of text) {
+    const part = foldChar(char);
+    for (let i = 0; i < part.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += part;
+    offset += char.length;
+  }
+  return { text: folded, starts, ends };
+}
+
+/**
+ * Splits a query into folded words
+ * @param {string} query - Search box text
+ * @returns {Array<string>} Words to match, e.g. "Widener  Libr" → ["widener", "libr"]
+ */
+export function tokenizeQuery(query) {
+  return foldText(query).text.match(WORD_PATTERN) ?? [];
+}
+
+/**
+ * Checks whether a query holds anything to search for
+ * @param {string} query - Search box text
+ * @returns {boolean} False for blank or punctuation-only text like "-" or "&"
+ */
+export function hasSearchTerms(query) {
+  return (query || '').match(WORD_PATTERN) !== null;
+}
+
+/**
+ * How many typos a query word may contain
+ * @param {number} length - Word length
+ * @returns {number} 0 for short words, 1 up to seven letters, 2 beyond
+ */
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance worth knowing
+ * @returns {number} Distance, or limit + 1 if it's larger than limit
+ */
+export function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return Math.min(row[b.length], limit + 1);
+}
+
+/**
+ * Folds one field value and splits it into words
+ * @param {string} value - Original text
+ * @returns {Object} Folded text with offsets (see foldText) and its words with positions
+ */
+function indexField(value) {
+  const folded = foldText(value);
+  const words = [...folded.text.matchAll(WORD_PATTERN)].map(match => ({ text: match[0], start: match.index }));
+  return { value, ...folded, words };
+}
+
+/**
+ * Builds the search index for a list of libraries
+ * @param {Array<Object>} libraries - Merged library records (see libraryData)
+ * @returns {Array<Object>} One entry per library with its folded fields
+ */
+export function buildSearchIndex(libraries) {
+  return libraries.map(library => ({
+    library,
+    fields: [
+      { key: 'Name', ...indexField(library.Name || '') },
+      ...(library.nicknames ?? []).map(nickname => ({ key: 'nicknames', ...indexField(nickname) })),
+      { key: 'Description', ...indexField(library.Description || '') },
+      { key: 'Address', ...indexField(library.Address || '') },
+    ],
+  }));
+}
+
+/**
+ * Finds the best match of one query word in one field
+ * Whole words beat word starts, which beat matches inside a word, which beat typos
+ * @param {string} token - Folded query word
+ * @param {Object} field - Indexed field
+ * @returns {{score: number, start: number, end: number} | null} Score (0–1) and folded range, or null
+ */
+function matchToken(token, field) {
+  let best = null;
+  const isWordChar = char => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+  for (let at = field.text.indexOf(token); at !== -1; at = field.text.indexOf(token, at + 1)) {
+    const end = at + token.length;
+    const startsWord = !isWordChar(field.text[at - 1]);
+    const endsWord = !isWordChar(field.text[end]);
+    const score = startsWord ? (endsWord ? 1 : 0.8) : 0.5;
+    if (!best || score > best.score) best = { score, start: at, end };
+    if (score === 1) return best;
+  }
+  if (best) return best;
+
+  // Typos: compare with each word, and with its start in case the word isn't finished yet
+  const limit = allowedTypos(token.length);
+  if (limit === 0) return null;
+  for (const word of field.words) {
+    const candidates = [word.text];
+    for (let length = token.length - 1; length <= token.length + 1; length++) {
+      if (length < word.text.length) candidates.push(word.text.slice(0, length));
+    }
+    for (const candidate of candidates) {
+      const distance = editDistance(token, candidate, limit);
+      if (distance > limit) continue;
+      const score = (candidate === word.text ? 0.4 : 0.3) / distance;
+      if (!best || score > best.score) {
+        best = { score, start: word.start, end: word.start + candidate.length };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Merges overlapping ranges
+ * @param {Array<[number, number]>} ranges - Start/end pairs
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged.at(-1);
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * Searches the index, best matches first
+ * @param {Array<Object>} index - From buildSearchIndex
+ * @param {string} query - Search box text
+ * @returns {Array<{library: Object, score: number, highlights: Object, nickname: string | null}>}
+ *   Matching libraries with their score, the matched ranges of Name, Description and Address
+ *   (offsets into the original text), and the nickname that matched, if any
+ */
+export function searchLibraries(index, query) {
+  const tokens = tokenizeQuery(query);
+  if (tokens.length === 0) return [];
+  const foldedQuery = tokens.join(' ');
+
+  const results = [];
+  for (const { library, fields } of index) {
+    let score = 0;
+    const matches = [];
+    for (const token of tokens) {
+      let best = null;
+      for (const field of fields) {
+        const match = matchToken(token, field);
+        if (match && (!best || match.score * FIELD_WEIGHTS[field.key] > best.weighted)) {
+          best = { ...match, field, weighted: match.score * FIELD_WEIGHTS[field.key] };
+        }
+      }
+      if (!best) break;
+      score += best.weighted;
+      matches.push(best);
+    }
+    if (matches.length < tokens.length) continue;
+
+    const name = fields[0];
+    if (name.words.map(word => word.text).join(' ').startsWith(foldedQuery)) score += NAME_PREFIX_BONUS;
+
+    const highlights = { Name: [], Description: [], Address: [] };
+    let nickname = null;
+    for (const { field, start, end } of matches) {
+      if (field.key === 'nicknames') {
+        nickname ??= field.value;
+      } else {
+        highlights[field.key].push([field.starts[start], field.ends[end - 1]]);
+      }
+    }
+    for (const key of Object.keys(highlights)) highlights[key] = mergeRanges(highlights[key]);
+
+    results.push({ library, score, highlights, nickname });
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { foldText, tokenizeQuery, hasSearchTerms, editDistance, buildSearchIndex, searchLibraries } from './search';
+
+const libraries = [
+  { Id: 'baker-business', Name: 'Baker Library and Special Collections', Description: 'Harvard Business School', Address: 'Soldiers Field Road, Boston, MA 02163', nicknames: ['HBS'] },
+  { Id: 'law', Name: 'Harvard Law School Library', Description: '', Address: '1545 Massachusetts Avenue, Cambridge, MA 02138', nicknames: ['HLS', 'Langdell'] },
+  { Id: 'yenching', Name: 'Harvard-Yenching Library', Description: '哈佛燕京圖書館 | 하버드 옌칭 도서관 | Sưu tập tài liệu tiếng Việt', Address: '2 Divinity Avenue, Cambridge, MA 02138', nicknames: [] },
+  { Id: 'science-engineering-complex-library', Name: 'Science & Engineering Complex Library', Description: '', Address: '150 Western Avenue, Allston, MA 02134', nicknames: ['SEC'] },
+  { Id: 'widener', Name: 'Widener Library', Description: '', Address: 'Harvard Yard, Cambridge, MA 02138', nicknames: [] },
+];
+
+const index = buildSearchIndex(libraries);
+
+/**
+ * Ids of the libraries a query finds, best first
+ */
+function search(query) {
+  return searchLibraries(index, query).map(result => result.library.Id);
+}
+
+describe('foldText', () => {
+  it('lowercases, strips accents and maps back to the original text', () => {
+    const folded = foldText('Sưu Tập & Đà');
+    expect(folded.text).toBe('suu tap and da');
+    expect(folded.starts[4]).toBe(4);
+    expect(folded.ends.at(-1)).toBe('Sưu Tập & Đà'.length);
+  });
+});
+
+describe('tokenizeQuery', () => {
+  it('splits on anything that is not a letter or digit', () => {
+    expect(tokenizeQuery('  Widener,  LIBR ')).toEqual(['widener', 'libr']);
+    expect(tokenizeQuery('—')).toEqual([]);
+  });
+});
+
+describe('hasSearchTerms', () => {
+  it.each([
+    ['', false],
+    ['  ', false],
+    [' - ', false],
+    ['&', false],
+    ['S&E', true],
+    ['é', true],
+    ['1545', true],
+  ])('%j → %s', (query, expected) => {
+    expect(hasSearchTerms(query)).toBe(expected);
+  });
+});
+
+describe('editDistance', () => {
+  it.each([
+    ['widener', 'widener', 0],
+    ['widner', 'widener', 1],
+    ['libary', 'library', 1],
+    ['lbirary', 'library', 1],
+    ['widnere', 'widener', 2],
+  ])('%s → %s is %i', (a, b, distance) => {
+    expect(editDistance(a, b, 2)).toBe(distance);
+  });
+
+  it('stops counting past the limit', () => {
+    expect(editDistance('baker', 'widener', 1)).toBe(2);
+  });
+});
+
+describe('searchLibraries', () => {
+  it('finds nicknames first', () => {
+    expect(search('HBS')[0]).toBe('baker-business');
+    expect(search('sec')[0]).toBe('science-engineering-complex-library');
+    expect(search('langdell')).toEqual(['law']);
+  });
+
+  it('searches descriptions, in any script', () => {
+    expect(search('business school')[0]).toBe('baker-business');
+    expect(search('燕京')).toEqual(['yenching']);
+    expect(search('옌칭')).toEqual(['yenching']);
+    expect(search('tieng viet')).toEqual(['yenching']);
+  });
+
+  it('forgives typos and unfinished words', () => {
+    expect(search('widner')).toEqual(['widener']);
+    expect(search('harvard libary')[0]).toBe('law');
+    expect(search('engin')).toEqual(['science-engineering-complex-library']);
+  });
+
+  it('needs every word to match', () => {
+    expect(search('law allston')).toEqual([]);
+  });
+
+  it('ranks names that start with the query first', () => {
+    expect(search('harvard')[0]).toBe('law');
+    expect(search('harvard-yenching')[0]).toBe('yenching');
+  });
+
+  it('returns highlight ranges in the original text', () => {
+    const [result] = searchLibraries(index, 'viet yenching');
+    const { Name, Description } = libraries[2];
+    expect(result.highlights.Name.map(([start, end]) => Name.slice(start, end))).toEqual(['Yenching']);
+    expect(result.highlights.Description.map(([start, end]) => Description.slice(start, end))).toEqual(['Việt']);
+  });
+
+  it('reports the nickname that matched', () => {
+    const [result] = searchLibraries(index, 'hls');
+    expect(result).toMatchObject({ nickname: 'HLS', highlights: { Name: [], Description: [], Address: [] } });
+  });
+
+  it('finds nothing without a query', () => {
+    expect(searchLibraries(index, '  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,18 @@
+import { useSyncExternalStore } from "react";
+
+function subscribe(callback) {
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => {
+    window.removeEventListener('online', callback);
+    window.removeEventListener('offline', callback);
+  };
+}
+
+/**
+ * Tracks whether the browser currently has a network connection
+ * @returns {boolean} False while offline
+ */
+export default function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine, () => true);
+}
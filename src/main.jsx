@@ -1,17 +1,33 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
+import { createBrowserRouter, RouterProvider } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
 import CoordsEditor from './components/CoordsEditor.jsx'
+import ScheduleView from './components/ScheduleView.jsx'
+import LibraryDataProvider from './components/LibraryDataProvider.jsx'
+
+// Offline support; skipped in dev so the worker doesn't cache Vite's modules
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.error('Service worker registration failed:', err);
+    });
+  });
+}
+
+// Data router, so the coords editor can block navigation while it has unsaved changes
+const router = createBrowserRouter([
+  { path: '/', element: <App /> },
+  { path: '/library/:id', element: <App /> },
+  { path: '/schedule', element: <ScheduleView /> },
+  { path: '/coords', element: <CoordsEditor /> },
+])
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/coords" element={<CoordsEditor />} />
-      </Routes>
-    </BrowserRouter>
+    <LibraryDataProvider>
+      <RouterProvider router={router} />
+    </LibraryDataProvider>
   </StrictMode>,
 )
@@ -0,0 +1,91 @@
+/**
+ * Offline support: precaches the app shell and library data, then serves
+ * same-origin requests stale-while-revalidate so the app keeps working
+ * without a connection.
+ *
+ * Built by serviceWorkerPlugin() in vite.config.js, which fills in the
+ * placeholders below with the bundle's files and a hash of them, so every
+ * deploy installs a fresh cache.
+ */
+
+const CACHE_NAME = `harvard-libraries-__CACHE_VERSION__`;
+
+// Emitted JS/CSS chunks for this build
+const BUILD_FILES = __PRECACHE_MANIFEST__;
+
+const SHELL_FILES = [
+  '/',
+  '/favicon/site.webmanifest',
+  '/favicon/favicon-32x32.png',
+  '/favicon/android-chrome-192x192.png',
+];
+
+const DATA_FILES = [
+  '/libraries.csv',
+  '/library-registry.json',
+];
+
+// Generated by the hours workflow, so a deploy may not have them
+const OPTIONAL_FILES = ['/hours.json', '/hours-meta.json'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll([...SHELL_FILES, ...DATA_FILES, ...BUILD_FILES]);
+    await Promise.all(OPTIONAL_FILES.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith('harvard-libraries-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Answers from the cache when possible and refreshes the entry in the background
+ * @param {FetchEvent} event - Intercepted request
+ * @param {string | Request} cacheKey - Entry to read and update
+ * @returns {Promise<Response>} Cached response, or the network response on a cache miss
+ */
+async function staleWhileRevalidate(event, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey);
+
+  const network = fetch(event.request).then(response => {
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    // Keep the worker alive for the refresh; offline failures are expected
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  // Map tiles and other third-party requests go straight to the network
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) return;
+
+  // Client-side routes (/library/:id, /schedule, /coords) all load the same shell
+  if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event, '/'));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event, request));
+});
@@ -0,0 +1,63 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Fixture factories shared by the app and updater tests, so a change to the
+ * registry schema or a fetch wrapper only needs updating here.
+ */
+
+// Recorded Drupal and LibCal payloads, plus a small registry to go with them
+export const FIXTURES_DIR = fileURLToPath(new URL('../scripts/fixtures', import.meta.url));
+
+/**
+ * Reads a JSON file from scripts/fixtures
+ * @param {string} name - File name, e.g. "libcal-hours.json"
+ * @returns {*} Parsed contents
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../scripts/fixtures/${name}`, import.meta.url), 'utf-8'));
+}
+
+/**
+ * Builds an enabled registry entry, as library-registry.json holds them
+ * @param {Object | null} coords - e.g. manualCoords(42.37, -71.11), or null for a library without coordinates
+ * @param {Object} [extra] - Fields to add or replace, e.g. { enabled: false }
+ * @returns {Object} Registry entry
+ */
+export function registryEntry(coords, extra = {}) {
+  return { enabled: true, campus: 'cambridge', libcalId: null, coords, overrides: {}, ...extra };
+}
+
+/**
+ * Coordinates as placed by hand in the coords editor
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{lat: number, lng: number, source: 'manual'}} Registry coords
+ */
+export function manualCoords(lat, lng) {
+  return { lat, lng, source: 'manual' };
+}
+
+/**
+ * Builds the part of a fetch Response the app and scripts read
+ * @param {*} body - What json() resolves to
+ * @param {number} [status=200] - HTTP status
+ * @returns {Object} Response stand-in
+ */
+export function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Stand-in for fetch that logs every request
+ * @param {Function} respond - Called with (url, init); returns a jsonResponse, or nothing for a 404
+ * @returns {{fetch: Function, requests: Array<{url: string, init: Object | undefined}>}} The fake and its log
+ */
+export function fakeFetch(respond) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    return respond(url, init) ?? jsonResponse(null, 404);
+  };
+  return { fetch, requests };
+}
@@ -2,29 +2,152 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import fs from 'fs'
 import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { applyRegistryUpdate, validateRegistryUpdate } from './src/components/registry.js'
 
-// Custom plugin to save coords during development
+const REGISTRY_PATH = fileURLToPath(new URL('./public/library-registry.json', import.meta.url));
+const BACKUP_DIR = fileURLToPath(new URL('./.coords-backups', import.meta.url));
+
+// The registry is a few kilobytes; anything much bigger isn't a coords update
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Quoted content hash, sent as the ETag so the editor can tell if the file changed under it
+function registryVersion(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}"`;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      body += chunk;
+      tooLarge = body.length > MAX_BODY_BYTES;
+    });
+    req.on('end', () => {
+      if (tooLarge) return reject(new HttpError(413, 'Request body too large'));
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new HttpError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Keeps a timestamped copy of the previous file, then swaps the new one in with a rename
+// so a crash mid-write can't leave a truncated registry behind
+function writeRegistry(previous, content) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.writeFileSync(path.join(BACKUP_DIR, `library-registry-${stamp}.json`), previous);
+
+  const tempPath = `${REGISTRY_PATH}.${crypto.randomUUID()}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, REGISTRY_PATH);
+}
+
+async function saveCoords(req, res) {
+  const update = await readJsonBody(req);
+
+  const previous = fs.readFileSync(REGISTRY_PATH, 'utf-8');
+  // Saves must say which version they were made against, or they could silently undo someone else's
+  const expected = req.headers['if-match'];
+  if (!expected) {
+    throw new HttpError(428, 'If-Match header required; load library-registry.json with GET first');
+  }
+  if (expected !== registryVersion(previous)) {
+    throw new HttpError(409, 'library-registry.json changed since it was loaded; reload before saving');
+  }
+
+  const registry = JSON.parse(previous);
+  const errors = validateRegistryUpdate(registry, update);
+  if (errors.length > 0) throw new HttpError(422, 'Invalid update', errors);
+
+  // Coordinates live in the registry; only the edited libraries' coords entries change,
+  // added libraries get new entries and removed libraries' entries are dropped
+  const content = JSON.stringify(applyRegistryUpdate(registry, update), null, 2) + '\n';
+  writeRegistry(previous, content);
+  sendJson(res, 200, {
+    success: true,
+    saved: Object.keys(update.coords ?? {}),
+    added: Object.keys(update.add ?? {}),
+    removed: update.remove ?? [],
+  }, { ETag: registryVersion(content) });
+}
+
+// Dev-only endpoint behind the coords editor: GET returns the registry with its ETag, POST saves
+// { add, coords, entrances, footprints, remove } (see NO_CHANGES in coordsEditing.js)
+// and must send that ETag back as If-Match
 function saveCoordsPlugin() {
   return {
     name: 'save-coords',
     configureServer(server) {
-      server.middlewares.use('/api/save-coords', (req, res) => {
-        if (req.method === 'POST') {
-          let body = '';
-          req.on('data', chunk => { body += chunk; });
-          req.on('end', () => {
-            const filePath = path.resolve(__dirname, 'public/library-coords.json');
-            fs.writeFileSync(filePath, JSON.stringify(JSON.parse(body), null, 2));
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true }));
-          });
+      server.middlewares.use('/api/save-coords', async (req, res) => {
+        try {
+          if (req.method === 'GET') {
+            const content = fs.readFileSync(REGISTRY_PATH, 'utf-8');
+            res.writeHead(200, { 'Content-Type': 'application/json', ETag: registryVersion(content) });
+            res.end(content);
+          } else if (req.method === 'POST') {
+            await saveCoords(req, res);
+          } else {
+            sendJson(res, 405, { error: `${req.method} not allowed` }, { Allow: 'GET, POST' });
+          }
+        } catch (err) {
+          if (err instanceof HttpError) {
+            sendJson(res, err.status, { error: err.message, details: err.details });
+          } else {
+            server.config.logger.error(`save-coords: ${err.stack || err.message}`);
+            sendJson(res, 500, { error: err.message });
+          }
         }
       });
     }
+  }
+}
+
+// Builds src/service-worker.js into dist/sw.js with this build's files precached
+function serviceWorkerPlugin() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const files = Object.values(bundle)
+        .filter(file => /\.(js|css)$/.test(file.fileName))
+        .map(file => `/${file.fileName}`)
+        .sort();
+      const version = crypto.createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = fs.readFileSync(new URL('./src/service-worker.js', import.meta.url), 'utf-8');
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source
+          .replace('__PRECACHE_MANIFEST__', JSON.stringify(files, null, 2))
+          .replace('__CACHE_VERSION__', version),
+      });
+    }
   };
 }
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), saveCoordsPlugin()],
+  plugins: [react(), saveCoordsPlugin(), serviceWorkerPlugin()],
 })